@@ -0,0 +1,108 @@
+import { Disposable } from "./disposable.js";
+import { AsyncDisposable } from "./async-disposable.js";
+
+/**
+ * The aggregate of a `for-of` or `for-await-of` block
+ */
+export type Scope = Disposable.Aggregate | AsyncDisposable.Aggregate;
+
+/**
+ * The members of the `using` helper supported by both `Disposable` and
+ * `AsyncDisposable` aggregates
+ */
+export interface AmbientUsing
+  extends Omit<Disposable.Using, "forwardAsync" | "trackAsync"> {
+  <T extends Disposable.Resource>(
+    disposable: T,
+    options?: Disposable.UsingOptions | string
+  ): T;
+  <T>(
+    value: T,
+    onDispose: Disposable.OnDispose<T>,
+    options?: Disposable.UsingOptions | string
+  ): T;
+}
+
+/**
+ * The members of the current scope supported by both `Disposable` and
+ * `AsyncDisposable` aggregates
+ */
+export interface AmbientScope {
+  /**
+   * Helper adding new disposable resources to track in the current scope.
+   * Async disposable resources can only be tracked by narrowing the scope to
+   * an `AsyncDisposable.Aggregate`
+   */
+  readonly using: AmbientUsing;
+
+  /**
+   * A signal aborted as the first step of the disposal of the scope
+   */
+  readonly signal: AbortSignal;
+
+  /**
+   * The number of resources currently tracked by the scope
+   */
+  readonly size: number;
+
+  /**
+   * Whether the disposal of the scope has started
+   */
+  readonly disposed: boolean;
+
+  /**
+   * The lifecycle state of the scope
+   */
+  readonly state: Disposable.State;
+
+  /**
+   * A promise fulfilled once the disposal of the scope has completed
+   */
+  readonly whenDisposed: Promise<void>;
+}
+
+/**
+ * Makes the aggregate the current scope of the calling execution context
+ *
+ * @param scope The aggregate entered
+ * @returns A function restoring the previous current scope
+ */
+export declare function enterScope(scope: Scope): () => void;
+
+/**
+ * Invokes the function with the aggregate as current scope, for the duration
+ * of the call and of the asynchronous work it starts
+ *
+ * @param scope The aggregate to make current
+ * @param fn The function to invoke
+ * @returns The result of the function
+ */
+export declare function runInScope<T>(scope: Scope, fn: () => T): T;
+
+/**
+ * Wraps a generator so that each of its steps runs with the aggregate as
+ * current scope
+ *
+ * @param scope The aggregate to make current
+ * @param generator The generator to wrap
+ * @returns An iterator forwarding to the generator
+ */
+export declare function scopeGenerator<
+  G extends Generator<any, any, any> | AsyncGenerator<any, any, any>
+>(scope: Scope, generator: G): G;
+
+/**
+ * Returns the aggregate of the innermost `for (const { using } of Disposable)`
+ * or `for await (const { using } of AsyncDisposable)` block being executed.
+ * Throws a `ReferenceError` when called outside of such a block
+ */
+export declare function currentScope(): AmbientScope & Scope;
+
+/**
+ * Adds a dispose callback to the current scope. Throws a `ReferenceError`
+ * when called outside of a scope block. The callback is awaited only if the
+ * current scope is an `AsyncDisposable` aggregate
+ *
+ * @param onDispose The dispose callback
+ */
+export declare function defer(onDispose: () => void | PromiseLike<void>): void;
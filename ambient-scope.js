@@ -0,0 +1,151 @@
+import { loadBuiltinModule } from "./builtin-module.js";
+
+/** @typedef {import("./ambient-scope.js").Scope} Scope */
+
+/**
+ * @typedef {object} ScopeNode
+ * @property {Scope} scope
+ * @property {ScopeNode | undefined} parent The scope current when entering
+ */
+
+/**
+ * @typedef {object} ScopeStorage
+ * @property {() => ScopeNode | undefined} getStore
+ * @property {(node: ScopeNode | undefined) => void} enterWith
+ * @property {<T>(node: ScopeNode, fn: () => T) => T} run
+ */
+
+/** @type {ScopeStorage | undefined} */
+let storage;
+
+// Scopes entered in the fallback before the module is loaded remain in it
+// until exited, outside of the scopes entered afterwards
+loadBuiltinModule(
+  "node:async_hooks",
+  /** @param {{AsyncLocalStorage: new () => ScopeStorage}} asyncHooks */
+  (asyncHooks) => {
+    storage = new asyncHooks.AsyncLocalStorage();
+  }
+);
+
+/**
+ * Fallback for hosts without `AsyncLocalStorage`, or until it is loaded, only
+ * accurate while the scopes are entered and exited in a nested synchronous
+ * fashion
+ *
+ * @type {Scope[]}
+ */
+const scopeStack = [];
+
+/**
+ * Makes the aggregate the current scope of the calling execution context
+ *
+ * @param {Scope} scope
+ * @returns {() => void} A function restoring the previous current scope
+ */
+export const enterScope = (scope) => {
+  const currentStorage = storage;
+  if (currentStorage) {
+    const parent = currentStorage.getStore();
+    const node = { scope, parent };
+    currentStorage.enterWith(node);
+    return () => {
+      // The scope may be exited from another execution context
+      if (currentStorage.getStore() === node) {
+        currentStorage.enterWith(parent);
+      }
+    };
+  }
+
+  scopeStack.push(scope);
+  return () => {
+    const index = scopeStack.lastIndexOf(scope);
+    if (index !== -1) {
+      scopeStack.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Invokes the function with the aggregate as current scope, for the duration
+ * of the call and of the asynchronous work it starts
+ *
+ * @template T
+ * @param {Scope} scope
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export const runInScope = (scope, fn) => {
+  if (storage) {
+    return storage.run({ scope, parent: storage.getStore() }, fn);
+  }
+
+  scopeStack.push(scope);
+  try {
+    return fn();
+  } finally {
+    const index = scopeStack.lastIndexOf(scope);
+    if (index !== -1) {
+      scopeStack.splice(index, 1);
+    }
+  }
+};
+
+/**
+ * Wraps a generator so that each of its steps runs with the aggregate as
+ * current scope
+ *
+ * @template {Generator<any, any, any> | AsyncGenerator<any, any, any>} G
+ * @param {Scope} scope
+ * @param {G} generator
+ * @returns {G}
+ */
+export const scopeGenerator = (scope, generator) => {
+  const iteratorSymbol =
+    Symbol.asyncIterator in generator ? Symbol.asyncIterator : Symbol.iterator;
+  const wrapped = /** @type {G} */ (
+    /** @type {unknown} */ ({
+      /** @param {[] | [any]} args */
+      next: (...args) => runInScope(scope, () => generator.next(...args)),
+      /** @param {any} error */
+      throw: (error) => runInScope(scope, () => generator.throw(error)),
+      /** @param {any} value */
+      return: (value) => runInScope(scope, () => generator.return(value)),
+      [iteratorSymbol]: () => wrapped,
+    })
+  );
+  return wrapped;
+};
+
+/**
+ * Returns the aggregate of the innermost `for (const { using } of Disposable)`
+ * or `for await (const { using } of AsyncDisposable)` block being executed
+ *
+ * @returns {Scope}
+ */
+export const currentScope = () => {
+  // Scopes entered in the synchronous part of an async function remain in
+  // the execution context of its caller, skip them once disposed of
+  if (storage) {
+    for (let node = storage.getStore(); node; node = node.parent) {
+      if (!node.scope.disposed) return node.scope;
+    }
+  }
+  for (let i = scopeStack.length - 1; i >= 0; i--) {
+    const scope = /** @type {Scope} */ (scopeStack[i]);
+    if (!scope.disposed) return scope;
+  }
+  throw new ReferenceError("No disposable scope is active");
+};
+
+/**
+ * Adds a dispose callback to the current scope
+ *
+ * @param {() => void | PromiseLike<void>} onDispose
+ */
+export const defer = (onDispose) => {
+  if (typeof onDispose !== "function") {
+    throw new TypeError("onDispose is not a function");
+  }
+  currentScope().using(onDispose);
+};
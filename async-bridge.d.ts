@@ -0,0 +1,16 @@
+import type { Disposable } from "./disposable.js";
+import type { AsyncDisposable } from "./async-disposable.js";
+
+/**
+ * Adapts a disposable resource to be disposed of from an async scope. The
+ * sync disposal runs when the async disposal starts, then any async disposal
+ * tracked by the resource, such as a `Disposable` aggregate tracking its async
+ * disposals, is awaited
+ *
+ * @param disposable The disposable resource, optionally with a `settled`
+ * method returning a promise for its pending async disposals
+ * @returns An async disposable resource
+ */
+export declare function toAsyncDisposable(
+  disposable: Disposable & { settled?(): Promise<void> }
+): AsyncDisposable;
@@ -0,0 +1,32 @@
+import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+
+/** @typedef {import("./disposable.js").Disposable} Disposable */
+/** @typedef {import("./async-disposable.js").AsyncDisposable} AsyncDisposable */
+
+/**
+ * Adapts a disposable resource to be disposed of from an async scope. The
+ * sync disposal runs when the async disposal starts, then any async disposal
+ * tracked by the resource, such as a `Disposable` aggregate tracking its async
+ * disposals, is awaited
+ *
+ * @param {Disposable & {settled?: () => Promise<void>}} disposable
+ * @returns {AsyncDisposable}
+ */
+export const toAsyncDisposable = (disposable) => {
+  if (
+    disposable === null ||
+    (typeof disposable !== "object" && typeof disposable !== "function") ||
+    typeof disposable[symbolDispose] !== "function"
+  ) {
+    throw new TypeError("Invalid disposable");
+  }
+
+  return {
+    async [symbolAsyncDispose]() {
+      disposable[symbolDispose]();
+      if (typeof disposable.settled === "function") {
+        await disposable.settled();
+      }
+    },
+  };
+};
@@ -1,5 +1,11 @@
+import type {
+  EventListenerTarget,
+  EventListenerHandler,
+} from "./event-listener.js";
+import type { AsyncResourceHandle } from "./generator-resource.js";
 import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
 import { Disposable } from "./disposable.js";
+import type { DisposalError } from "./errors.js";
 
 export interface AsyncDisposable {
   /**
@@ -21,6 +27,56 @@ declare namespace AsyncDisposable {
      * The helper can be detached
      */
     readonly using: Using;
+
+    /**
+     * A signal aborted as the first step of the disposal of the aggregate,
+     * with the error causing the failure of the scope as reason if known, or
+     * when a task spawned in the aggregate fails, with its error as reason.
+     * The signal is created on first access
+     */
+    readonly signal: AbortSignal;
+
+    /**
+     * The number of resources currently tracked by the aggregate
+     */
+    readonly size: number;
+
+    /**
+     * Whether the disposal of the aggregate has started
+     */
+    readonly disposed: boolean;
+
+    /**
+     * The lifecycle state of the aggregate: `pending` until its disposal
+     * starts, `disposing` while its resources are disposed of, then
+     * `disposed` as soon as the last resource has been disposed of.
+     * Resources added while `disposing` are disposed of in the same pass, and
+     * adding resources once `disposed` throws a `ReferenceError`
+     */
+    readonly state: Disposable.State;
+
+    /**
+     * A promise fulfilled once the disposal of the aggregate has completed,
+     * whether or not it threw. The promise is created on first access
+     */
+    readonly whenDisposed: Promise<void>;
+
+    /**
+     * Returns an iterator over a snapshot of the tracked resources, in the
+     * order in which they will be disposed of
+     */
+    resources(): IterableIterator<ResourceInfo>;
+
+    /**
+     * Creates a child aggregate tracked by this aggregate, to scope resources
+     * which may be released before the parent. The child is disposed of in
+     * order when the parent is disposed of, with the completion of the
+     * parent. If disposed of earlier, the child removes itself from the
+     * parent. Throws a `ReferenceError` once the aggregate is disposed
+     *
+     * @returns The child aggregate
+     */
+    fork(): Aggregate;
   }
 
   export interface Constructor {
@@ -30,9 +86,11 @@ declare namespace AsyncDisposable {
      *
      * @param disposables An iterable or async iterable containing resources to
      * be disposed of when the returned object is itself disposed of
+     * @param options Options for the creation of the aggregate
      */
     from(
-      disposables: Iterable<Resource> | AsyncIterable<Resource>
+      disposables: Iterable<Resource> | AsyncIterable<Resource>,
+      options?: FromOptions
     ): Promise<Aggregate>;
 
     /**
@@ -44,10 +102,12 @@ declare namespace AsyncDisposable {
      * disposed of
      * @param mapFn A function returning a disposable or async disposable
      * resource from the iterated value
+     * @param options Options for the creation of the aggregate
      */
     from<T>(
       values: Iterable<T> | AsyncIterable<T>,
-      mapFn: (value: T) => Resource<T>
+      mapFn: (value: T) => Resource<T>,
+      options?: FromOptions
     ): Promise<Aggregate>;
 
     /**
@@ -61,15 +121,26 @@ declare namespace AsyncDisposable {
      */
     new (...args: Resource[]): Aggregate;
 
+    /**
+     * Creates an aggregate async disposable object
+     *
+     * @param args Initial resources to add for tracking, followed by the
+     * options of the aggregate. An object with other keys than the options is
+     * rejected as an invalid resource
+     */
+    new (...args: [...Resource[], Options]): Aggregate;
+
     /**
      * Wraps an iterable or async iterable to ensure that iterated resources are
      * disposed of
      *
      * @param disposables An iterable or async iterable containing disposable
      * or async disposable resources over which to iterate then dispose
+     * @param options Options for the iteration
      */
     usingFrom<T extends Resource>(
-      disposables: Iterable<T> | AsyncIterable<T>
+      disposables: Iterable<T> | AsyncIterable<T>,
+      options?: UsingFromOptions
     ): AsyncIterable<T>;
 
     /**
@@ -80,19 +151,87 @@ declare namespace AsyncDisposable {
      * to iterate
      * @param mapFn A function returning a disposable or async disposable
      * resource from the iterated value
+     * @param options Options for the iteration
      */
     usingFrom<T>(
       values: Iterable<T> | AsyncIterable<T>,
-      mapFn: (value: T) => Resource<T>
+      mapFn: (value: T) => Resource<T>,
+      options?: UsingFromOptions
     ): AsyncIterable<T>;
 
     /**
      * Returns an iterator which yields a new async aggregate instance. Its `using`
      * helper can be used to track disposable or async disposable resources
      * which will be disposed of when the iterator is closed. Use with a
-     * `for-await-of` statement to perform RAII style explicit resource management
+     * `for-await-of` statement to perform RAII style explicit resource
+     * management. Only a block running to completion is a success: exiting it
+     * with `break` or `return` fails the scope like a thrown error
      */
     [Symbol.asyncIterator](): UsingAsyncIterator;
+
+    /**
+     * Returns an async iterable similar to `AsyncDisposable` itself, but whose
+     * aggregate instance must complete the disposal of its resources within
+     * the given time. When the timeout elapses, the pending disposal is
+     * abandoned with a `DisposalTimeoutError`, and the disposal of the
+     * remaining resources is started without waiting for their completion
+     *
+     * @param timeout Time in milliseconds for the disposal of all resources
+     */
+    withTimeout(timeout: number): AsyncIterable<Aggregate>;
+
+    /**
+     * Creates a factory of async disposable resources from a generator or
+     * async generator function. The generator acquires the resource and
+     * yields it, then releases it once resumed by the disposal of the
+     * resource. If the scope of the aggregate disposing of the resource
+     * failed, the error is thrown into the generator at the `yield`, or the
+     * generator is closed if the error is unknown. The error is only known to
+     * `scoped()` functions: a `for-await-of` block closes the generator
+     * whether it threw or exited early
+     *
+     * @param fn The generator or async generator function, invoked with the
+     * arguments and the `this` of the factory call
+     * @returns The async resource factory
+     */
+    resource<This, Args extends any[], T>(
+      fn: (
+        this: This,
+        ...args: Args
+      ) =>
+        | AsyncGenerator<T, unknown, undefined>
+        | Generator<T, unknown, undefined>
+    ): (this: This, ...args: Args) => Promise<AsyncResourceHandle<T>>;
+
+    /**
+     * Wraps a generator or async generator function so that each call runs
+     * with a new aggregate as current scope, passing its `using` helper as
+     * first argument. The aggregate is disposed of when the returned async
+     * generator completes or is closed
+     *
+     * @param fn The generator function to wrap, invoked with the `this` of
+     * the call
+     * @returns The wrapped async generator function
+     */
+    scoped<This, Args extends any[], T, TReturn, TNext>(
+      fn: (
+        this: This,
+        using: Using,
+        ...args: Args
+      ) => Generator<T, TReturn, TNext> | AsyncGenerator<T, TReturn, TNext>
+    ): (this: This, ...args: Args) => AsyncGenerator<T, TReturn, TNext>;
+
+    /**
+     * Wraps a function so that each call runs with a new aggregate as current
+     * scope, passing its `using` helper as first argument. The aggregate is
+     * disposed of once the result of the call settles
+     *
+     * @param fn The function to wrap, invoked with the `this` of the call
+     * @returns The wrapped async function
+     */
+    scoped<This, Args extends any[], R>(
+      fn: (this: This, using: Using, ...args: Args) => R
+    ): (this: This, ...args: Args) => Promise<Awaited<R>>;
   }
 
   export interface Using {
@@ -100,9 +239,10 @@ declare namespace AsyncDisposable {
      * Add a disposable or async disposable resource for tracking
      *
      * @param disposable The disposable or async disposable resource to track
+     * @param options Options for the tracking of the resource, or its label
      * @returns The disposable or async disposable resource
      */
-    <T extends Resource>(disposable: T): T;
+    <T extends Resource>(disposable: T, options?: UsingOptions | string): T;
 
     /**
      * Add a disposable or async disposable resource for tracking
@@ -110,11 +250,263 @@ declare namespace AsyncDisposable {
      * @param value A value to consider as a resource to dispose
      * @param onDispose The async dispose callback invoked with the value
      *  as `this` context
+     * @param options Options for the tracking of the resource, or its label
      * @returns The value
      */
-    <T>(value: T, onDispose: OnDispose<T>): T;
+    <T>(value: T, onDispose: OnDispose<T>, options?: UsingOptions | string): T;
+
+    /**
+     * Add an async callback invoked on disposal only if the scope completed
+     * successfully
+     *
+     * When disposed of by the iterator helper, the scope is successful if the
+     * block ran to completion. Exiting the block early through `break`,
+     * `return` or a thrown error is a failure. Use `AsyncDisposable.scoped()` when
+     * returning early should count as a success: a scoped function fails
+     * only if it throws.
+     *
+     * @param onSuccess The async callback to invoke
+     */
+    onSuccess(onSuccess: () => void | PromiseLike<void>): void;
+
+    /**
+     * Add an async callback invoked on disposal only if the scope failed, or
+     * if a resource disposed of before the callback threw
+     *
+     * @param onFailure The async callback to invoke with the error causing
+     * the failure, or `undefined` if unknown
+     */
+    onFailure(onFailure: (error: unknown) => void | PromiseLike<void>): void;
+
+    /**
+     * Ties the disposal of the aggregate to an external signal: the aggregate
+     * is disposed of as a failure when the signal is aborted, with the abort
+     * reason as error. Errors thrown during this disposal are thrown by the
+     * next disposal of the aggregate, such as when exiting the block
+     *
+     * @param signal The signal which aborts the scope
+     */
+    disposeOnAbort(signal: AbortSignal): void;
+
+    /**
+     * Subscribes the handler to events of the given type emitted by a DOM or
+     * WHATWG `EventTarget`, or a Node `EventEmitter`, and unsubscribes it with
+     * the matching arguments when the aggregate is disposed of
+     *
+     * @param target The event target or event emitter
+     * @param type The type of events
+     * @param handler The event handler
+     * @param options The options of the subscription, also used when
+     * unsubscribing. For an event emitter, only `once` is supported
+     */
+    listen(
+      target: EventListenerTarget,
+      type: string | symbol,
+      handler: EventListenerHandler,
+      options?: boolean | AddEventListenerOptions
+    ): void;
+
+    /**
+     * Schedules the callback with `setTimeout`, and clears the timer when the
+     * aggregate is disposed of. The timer is no longer tracked once the
+     * callback is invoked
+     *
+     * @param callback The callback to invoke once the time elapsed
+     * @param ms The time to wait, in milliseconds
+     * @param args Arguments passed to the callback
+     * @returns The handle of the timer
+     */
+    timeout<TArgs extends any[]>(
+      callback: (...args: TArgs) => void,
+      ms?: number,
+      ...args: TArgs
+    ): ReturnType<typeof setTimeout>;
+
+    /**
+     * Schedules the callback with `setInterval`, and clears the timer when the
+     * aggregate is disposed of
+     *
+     * @param callback The callback to invoke repeatedly
+     * @param ms The time between invocations, in milliseconds
+     * @param args Arguments passed to the callback
+     * @returns The handle of the timer
+     */
+    interval<TArgs extends any[]>(
+      callback: (...args: TArgs) => void,
+      ms?: number,
+      ...args: TArgs
+    ): ReturnType<typeof setInterval>;
+
+    /**
+     * Schedules the callback with `setImmediate`, or `setTimeout` on hosts
+     * without it, and clears the timer when the aggregate is disposed of. The
+     * timer is no longer tracked once the callback is invoked
+     *
+     * @param callback The callback to invoke
+     * @param args Arguments passed to the callback
+     * @returns The handle of the timer
+     */
+    immediate<TArgs extends any[]>(
+      callback: (...args: TArgs) => void,
+      ...args: TArgs
+    ): unknown;
+
+    /**
+     * Returns a promise fulfilled after the given time, or rejected with the
+     * reason of the aggregate's `signal` when the aggregate is disposed of
+     * first
+     *
+     * @param ms The time to wait, in milliseconds
+     */
+    delay(ms?: number): Promise<void>;
+
+    /**
+     * Sets how the errors thrown while disposing of the aggregate are
+     * surfaced. Each error is wrapped in a `DisposalError` attributing it to
+     * its resource, and handed to the `onError` callback if provided
+     *
+     * @param errorPolicy The error policy
+     * @param onError The callback invoked with each error
+     */
+    errorPolicy(
+      errorPolicy: "aggregate" | "first",
+      onError?: (error: DisposalError) => void
+    ): void;
+
+    /**
+     * Sets how the errors thrown while disposing of the aggregate are
+     * surfaced. Each error is wrapped in a `DisposalError` attributing it to
+     * its resource, and handed to the `onError` callback instead of being
+     * thrown
+     *
+     * @param errorPolicy The error policy
+     * @param onError The callback invoked with each error
+     */
+    errorPolicy(
+      errorPolicy: "report",
+      onError: (error: DisposalError) => void
+    ): void;
+
+    /**
+     * Starts a task bound to the scope. The task is invoked synchronously
+     * with a signal shared by the tasks of the aggregate, which is aborted
+     * when the disposal of the aggregate starts, or when a task fails. The
+     * disposal waits for all the tasks to settle before disposing of the
+     * resources. The first task failure, before the tasks are cancelled, also
+     * aborts the signal of the aggregate. It fails the scope and is thrown by
+     * the disposal, suppressing the error of the block if known
+     *
+     * @param task The function performing the task
+     * @returns A promise for the result of the task
+     */
+    spawn<T>(task: (signal: AbortSignal) => T | PromiseLike<T>): Promise<T>;
+  }
+
+  export interface UsingOptions {
+    /**
+     * A key identifying a group of independent resources, which are disposed
+     * of concurrently
+     *
+     * The group takes the position in the stack of its first resource:
+     * resources added after the group was created are disposed of before any
+     * of the group's resources, and resources added before it are disposed of
+     * once all of the group's resources have been disposed of.
+     */
+    group?: unknown;
+
+    /**
+     * Time in milliseconds after which the disposal of the resource is
+     * abandoned with a `DisposalTimeoutError`, and the disposal of the
+     * remaining resources continues
+     */
+    timeout?: number;
+
+    /**
+     * A label describing the resource, used by introspection and error
+     * messages
+     */
+    label?: string;
+
+    /**
+     * Resources of the aggregate which this resource depends on, and which
+     * are therefore disposed of after it, even if they were added after it.
+     * Dependencies forming a cycle are disposed of in reverse order. Dependencies on resources of the same group
+     * are ignored, since the group is disposed of concurrently.
+     */
+    dependsOn?: unknown[];
+  }
+
+  export interface ResourceInfo {
+    /**
+     * The label of the resource, if any
+     */
+    label: string | undefined;
+
+    /**
+     * Whether the resource is disposed of synchronously or asynchronously
+     */
+    hint: "sync" | "async";
+
+    /**
+     * The resource, or the value passed with a dispose callback
+     */
+    resource: unknown;
+
+    /**
+     * The key of the group of resources disposed of concurrently, if any
+     */
+    group?: unknown;
   }
 
+  export interface Options {
+    /**
+     * Time in milliseconds for the disposal of all the resources of the
+     * aggregate. When it elapses, the pending disposal is abandoned with a
+     * `DisposalTimeoutError`, and the disposal of the remaining resources is
+     * started without waiting for their completion
+     */
+    timeout?: number;
+  }
+
+  export interface FromOptions extends Options {
+    /**
+     * A signal to cancel the acquisition of the resources. When aborted, the
+     * iteration is stopped, the source iterator is closed, the resources
+     * added so far are disposed of, and the creation fails with the abort
+     * reason
+     */
+    signal?: AbortSignal;
+  }
+
+  export interface UsingFromOptions extends Disposable.ErrorPolicyOptions {
+    /**
+     * A signal to cancel the iteration. When aborted, the iteration is
+     * stopped, the current resource is disposed of, the source iterator is
+     * closed, and the iteration fails with the abort reason
+     */
+    signal?: AbortSignal;
+
+    /**
+     * The number of upcoming resources to acquire ahead of the consumer,
+     * while the current resource is used. Steps of the source iterator are
+     * then requested without waiting for the previous ones to settle.
+     * Resources acquired ahead but never yielded are disposed of when the
+     * iteration is closed. Defaults to 0
+     */
+    prefetch?: number;
+
+    /**
+     * How the iterated resources are disposed of. Defaults to `each`. In
+     * `drain` mode, the source iterator is still closed without being drained
+     * if the signal is aborted
+     */
+    mode?: UsingFromMode;
+  }
+
+  export type UsingFromMode = Disposable.UsingFromMode;
+
+  export type ErrorPolicy = Disposable.ErrorPolicy;
+
   export type OnDispose<T = void> = (this: T) => void | PromiseLike<void>;
 
   export type Resource<T = void> = Disposable | AsyncDisposable | OnDispose<T>;
@@ -123,3 +515,69 @@ declare namespace AsyncDisposable {
 }
 
 export declare const AsyncDisposable: AsyncDisposable.Constructor;
+
+/**
+ * A stack of disposable or async disposable resources, following the shape of
+ * the `AsyncDisposableStack` class of the Explicit Resource Management proposal
+ */
+export interface AsyncDisposableStack extends AsyncDisposable {
+  /**
+   * Whether the stack has been disposed of or its resources moved
+   */
+  readonly disposed: boolean;
+
+  /**
+   * Disposes of the resources in the stack in reverse order to which they
+   * were added
+   */
+  disposeAsync(): Promise<void>;
+
+  /**
+   * Adds a disposable or async disposable resource to the top of the stack
+   *
+   * @param value The disposable or async disposable resource to track, or
+   * `null` or `undefined`
+   * @returns The resource
+   */
+  use<T extends AsyncDisposable | Disposable | null | undefined>(value: T): T;
+
+  /**
+   * Adds a value and its async dispose callback to the top of the stack
+   *
+   * @param value A value to consider as a resource to dispose
+   * @param onDisposeAsync The async dispose callback invoked with the value
+   * as argument
+   * @returns The value
+   */
+  adopt<T>(value: T, onDisposeAsync: (value: T) => void | PromiseLike<void>): T;
+
+  /**
+   * Adds an async dispose callback to the top of the stack
+   *
+   * @param onDisposeAsync The async dispose callback
+   */
+  defer(onDisposeAsync: () => void | PromiseLike<void>): void;
+
+  /**
+   * Moves all resources of this stack into a new stack, leaving this stack
+   * disposed of without disposing of the resources
+   *
+   * @returns The new stack owning the resources
+   */
+  move(): AsyncDisposableStack;
+
+  readonly [Symbol.toStringTag]: string;
+}
+
+declare namespace AsyncDisposableStack {
+  export interface Constructor {
+    /**
+     * Creates an empty async disposable stack
+     */
+    new (): AsyncDisposableStack;
+
+    readonly prototype: AsyncDisposableStack;
+  }
+}
+
+export declare const AsyncDisposableStack: AsyncDisposableStack.Constructor;
@@ -1,5 +1,42 @@
 import { createAsyncIterator } from "./iterator-prototypes.js";
+import { DisposalTimeoutError, SuppressedError } from "./errors.js";
+import {
+  createEntryTaker,
+  getDependencies,
+  inDisposalOrder,
+  trackDependencies,
+} from "./dependencies.js";
+import {
+  assertValidErrorPolicy,
+  createErrorCollector,
+  getErrorPolicy,
+} from "./error-policy.js";
+import { enterScope, runInScope, scopeGenerator } from "./ambient-scope.js";
+import { addListener } from "./event-listener.js";
+import {
+  createAsyncResourceFactory,
+  expectsCompletion,
+} from "./generator-resource.js";
+import { inspectAggregate, inspectSymbol } from "./inspect.js";
+import {
+  traceDisposal,
+  traceRecord,
+  traceResourceAdded,
+} from "./instrumentation.js";
+import {
+  callOnBehalf,
+  recordUsing,
+  trackAggregate,
+  untrackAggregate,
+} from "./leak-detection.js";
+import { reportError } from "./report-error.js";
 import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+import {
+  delay,
+  scheduleImmediate,
+  scheduleInterval,
+  scheduleTimeout,
+} from "./timers.js";
 
 /** @typedef {import("./async-disposable.js").AsyncDisposable.Constructor} DisposableConstructor */
 /** @typedef {import("./async-disposable.js").AsyncDisposable} IAsyncDisposable */
@@ -7,19 +44,66 @@ import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
 /** @typedef {import("./async-disposable.js").AsyncDisposable.Resource} DisposableResource */
 
 /** @typedef {import("./async-disposable.js").AsyncDisposable.OnDispose<any>} DisposeMethod */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.UsingOptions} UsingOptions */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.ResourceInfo} ResourceInfo */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.Options} AggregateOptions */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.FromOptions} FromOptions */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.UsingFromOptions} UsingFromOptions */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.UsingFromMode} UsingFromMode */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.ErrorPolicy} ErrorPolicy */
+/** @typedef {import("./disposable.js").Disposable.State} State */
+/** @typedef {import("./disposable.js").Disposable.ErrorPolicyOptions} ErrorPolicyOptions */
 /** @typedef {(value: any) => DisposableResource} MapFn */
 /** @typedef {import("./async-disposable.js").AsyncDisposable.Aggregate} DisposableAggregate */
+/** @typedef {import("./async-disposable.js").AsyncDisposableStack.Constructor} AsyncDisposableStackConstructor */
+
+/**
+ * @typedef {Object} Completion
+ * @property {boolean} failed Whether the scope was exited abruptly
+ * @property {unknown} [error] The error causing the failure, if known
+ */
 
 /**
  * @typedef {Object} DisposableResourceRecord
  * @property {unknown} resourceValue
  * @property {'sync' | 'async'} hint
- * @property {DisposeMethod} disposeMethod
+ * @property {(this: unknown, completion?: Completion) => void | PromiseLike<void>} disposeMethod
+ * @property {boolean} [withCompletion] Whether the dispose method expects the
+ * completion of the scope
+ * @property {number} [timeout] Time in milliseconds after which an async
+ * dispose method is abandoned
+ * @property {string} [label] A label describing the resource
+ * @property {unknown[]} [dependsOn] Resources disposed of after this one
+ */
+
+/**
+ * @typedef {Object} DisposableGroupRecord
+ * @property {'group'} hint
+ * @property {unknown} key The key identifying the group
+ * @property {Array<DisposableResourceRecord>} records Records disposed of
+ * concurrently
+ */
+
+/** @typedef {DisposableResourceRecord | DisposableGroupRecord} ResourceStackEntry */
+
+/**
+ * @typedef {Object} TaskGroup
+ * @property {AbortController} controller Aborted on the first task failure,
+ * or when the disposal of the aggregate starts
+ * @property {Set<Promise<void>>} pending The settlements of the running tasks
+ * @property {{error: unknown} | undefined} failure The first task failure
  */
 
 /** @type {MapFn} */
 const defaultMapFn = (value) => value;
 
+/** @param {unknown} mode */
+const assertValidMode = (mode) => {
+  if (mode !== "each" && mode !== "retain" && mode !== "drain") {
+    throw new RangeError('mode must be "each", "retain" or "drain"');
+  }
+};
+
 /** @type {(value: any, resource: any) => DisposableResourceRecord | undefined } */
 const getRecordFromValue = (value, resource) => {
   const asyncDispose = value[symbolAsyncDispose];
@@ -31,6 +115,7 @@ const getRecordFromValue = (value, resource) => {
         resourceValue: value,
         hint: "async",
         disposeMethod: asyncDispose,
+        withCompletion: expectsCompletion(asyncDispose),
       };
     }
   } else {
@@ -40,6 +125,7 @@ const getRecordFromValue = (value, resource) => {
         resourceValue: value,
         hint: "sync",
         disposeMethod: syncDispose,
+        withCompletion: expectsCompletion(syncDispose),
       };
     } else if (typeof value === "function") {
       return {
@@ -53,11 +139,11 @@ const getRecordFromValue = (value, resource) => {
 };
 
 /**
- * @template {DisposableResource} T
- * @param {T} disposable
+ * @param {DisposableResource} disposable
  * @param {unknown} resource
- * @param {Array<DisposableResourceRecord>} stack
+ * @param {Array<ResourceStackEntry>} stack
  * @param {(err: unknown) => void} [onError]
+ * @returns {DisposableResourceRecord | undefined} The added record
  */
 const addDisposable = (disposable, resource, stack, onError) => {
   try {
@@ -67,6 +153,7 @@ const addDisposable = (disposable, resource, stack, onError) => {
     } else {
       stack.push(record);
     }
+    return record;
   } catch (error) {
     if (onError) {
       onError(error);
@@ -74,28 +161,520 @@ const addDisposable = (disposable, resource, stack, onError) => {
       throw error;
     }
   }
-  return disposable;
+  return undefined;
+};
+
+/**
+ * @param {unknown} error
+ */
+const isAbortError = (error) =>
+  typeof error === "object" &&
+  error !== null &&
+  /** @type {{name?: unknown}} */ (error).name === "AbortError";
+
+/** @param {unknown} timeout */
+const assertValidTimeout = (timeout) => {
+  if (typeof timeout !== "number" || !(timeout >= 0)) {
+    throw new RangeError("timeout must be a non-negative number");
+  }
+};
+
+/** @type {ReadonlyArray<string>} */
+const aggregateOptionNames = ["timeout"];
+
+/**
+ * Removes the options of the aggregate from the end of the constructor
+ * arguments: an object which is not a resource, with only known options.
+ * Any other object is left to be rejected as an invalid resource, so that
+ * misspelled options are not ignored
+ *
+ * @param {unknown[]} args
+ * @returns {AggregateOptions | undefined}
+ */
+const takeAggregateOptions = (args) => {
+  const last = args[args.length - 1];
+  if (
+    typeof last !== "object" ||
+    last === null ||
+    symbolDispose in last ||
+    symbolAsyncDispose in last
+  ) {
+    return undefined;
+  }
+  const names = Object.keys(last);
+  if (
+    !names.length ||
+    !names.every((name) => aggregateOptionNames.includes(name))
+  ) {
+    return undefined;
+  }
+  args.pop();
+  return last;
+};
+
+/**
+ * @param {DisposableResourceRecord} record
+ */
+const getResourceName = ({ resourceValue, disposeMethod, label }) => {
+  if (label !== undefined) {
+    return label;
+  } else if (typeof resourceValue === "function") {
+    return resourceValue.name
+      ? `callback ${resourceValue.name}`
+      : "anonymous callback";
+  } else if (typeof resourceValue === "object" && resourceValue !== null) {
+    const { constructor } = /** @type {{constructor?: Function}} */ (
+      resourceValue
+    );
+    return constructor && constructor.name && constructor !== Object
+      ? `${constructor.name} resource`
+      : "resource";
+  } else if (resourceValue !== undefined) {
+    return `resource ${String(resourceValue)}`;
+  }
+  return disposeMethod.name
+    ? `callback ${disposeMethod.name}`
+    : "anonymous callback";
+};
+
+/**
+ * @param {(error?: unknown) => void | PromiseLike<void>} callback
+ * @param {boolean} onFailure Whether the callback should be invoked when the
+ * scope failed instead of when it succeeded
+ * @param {Array<ResourceStackEntry>} stack
+ */
+const addCompletionCallback = (callback, onFailure, stack) => {
+  if (typeof callback !== "function") {
+    throw new TypeError("callback is not a function");
+  }
+  stack.push({
+    resourceValue: undefined,
+    hint: "async",
+    disposeMethod: (completion) => {
+      if (!completion || !completion.failed) {
+        if (!onFailure) return callback();
+      } else if (onFailure) {
+        return callback(completion.error);
+      }
+    },
+    withCompletion: true,
+    label: onFailure ? "onFailure callback" : "onSuccess callback",
+  });
+};
+
+/**
+ * Invokes the dispose method of the record, returning the result of async
+ * dispose methods
+ *
+ * @param {DisposableResourceRecord} record
+ * @param {Completion} completion
+ * @returns {void | PromiseLike<void>}
+ */
+const disposeRecord = (record, completion) => {
+  const { resourceValue, hint, disposeMethod, withCompletion } = record;
+  const args = withCompletion ? [completion] : [];
+  switch (hint) {
+    case "sync":
+      disposeMethod.apply(resourceValue, args);
+      return;
+    case "async":
+      return disposeMethod.apply(resourceValue, args);
+    default:
+      throw new TypeError("Invalid disposable record");
+  }
+};
+
+/**
+ * Waits for the result of an async dispose method, abandoning it if it does
+ * not settle before the record's timeout, or the deadline of the scope
+ *
+ * @param {void | PromiseLike<void>} result
+ * @param {DisposableResourceRecord} record
+ * @param {{deadline: number, timeout: number}} [scopeLimit]
+ */
+const settleWithin = async (result, record, scopeLimit) => {
+  let delay = record.timeout;
+  let timeout = record.timeout;
+  if (scopeLimit) {
+    const remaining = Math.max(scopeLimit.deadline - Date.now(), 0);
+    if (delay === undefined || remaining < delay) {
+      delay = remaining;
+      timeout = scopeLimit.timeout;
+    }
+  }
+  if (delay === undefined || timeout === undefined) {
+    return result;
+  }
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  const name = getResourceName(record);
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(new DisposalTimeoutError(record.resourceValue, name, timeout)),
+      delay
+    );
+  });
+  try {
+    await Promise.race([result, timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Returns the position of the first resource of the entry at the index of
+ * the stack, counting each resource of the groups before it
+ *
+ * Only invoked once the disposal of the entry failed, so that disposing of
+ * the entries does not go through the stack each time.
+ *
+ * @param {Array<ResourceStackEntry>} stack
+ * @param {number} index
+ */
+const getPosition = (stack, index) => {
+  let position = 0;
+  for (let i = 0; i < index && i < stack.length; i++) {
+    const entry = /** @type {ResourceStackEntry} */ (stack[i]);
+    position += entry.hint === "group" ? entry.records.length : 1;
+  }
+  return position;
 };
 
 /**
+ * Disposes of the records in the stack in reverse order, emptying it
+ *
+ * The records of a group are disposed of concurrently, and the group's
+ * disposal completes once all its records have settled. An entry is disposed
+ * of before the entries of the resources it depends on, even if they were
+ * added after it.
+ *
+ * Records expecting the completion of the scope receive the initial completion
+ * updated with any error thrown by the records disposed of before them.
+ *
+ * If a scope timeout is provided, the disposal of any async resource still
+ * pending when it elapses is abandoned, and the disposal of the remaining
+ * resources is started without waiting for them.
+ *
+ * @param {Array<ResourceStackEntry>} stack
+ * @param {Completion} [completion]
+ * @param {number} [timeout] Time in milliseconds for the whole disposal
+ * @param {object} [source] The aggregate for which to publish the disposal of
+ * each record
+ * @param {ErrorPolicyOptions} [errorPolicy] How the errors are surfaced
+ * @param {() => void} [onDrained] Invoked as soon as the stack is empty,
+ * before any resource can be added to it again
+ */
+const disposeResources = async (
+  stack,
+  completion = { failed: false },
+  timeout = undefined,
+  source = undefined,
+  errorPolicy = undefined,
+  onDrained = undefined
+) => {
+  const scopeLimit =
+    timeout !== undefined
+      ? { deadline: Date.now() + timeout, timeout }
+      : undefined;
+  let { failed, error: cause } = completion;
+  const errors = createErrorCollector(errorPolicy);
+
+  /**
+   * @param {unknown} err
+   * @param {DisposableResourceRecord} record
+   * @param {number} position The position of the resource in the stack
+   */
+  const onError = (err, record, position) => {
+    errors.add(err, record, position);
+    cause = cause === undefined ? err : new SuppressedError(err, cause);
+    failed = true;
+  };
+
+  const takeNext = createEntryTaker(stack);
+
+  while (stack.length) {
+    const { entry, index } = takeNext();
+
+    if (entry.hint === "group") {
+      const groupCompletion = { failed, error: cause };
+      const records = entry.records.splice(0).reverse();
+      const results = await Promise.allSettled(
+        records.map(async (record) => {
+          await traceRecord(source, record, () => {
+            const result = disposeRecord(record, groupCompletion);
+            if (record.hint === "async") {
+              return settleWithin(result, record, scopeLimit);
+            }
+          });
+        })
+      );
+      /** @type {number | undefined} */
+      let last;
+      results.forEach((result, i) => {
+        if (result.status === "rejected") {
+          if (last === undefined) {
+            last = getPosition(stack, index) + records.length - 1;
+          }
+          onError(
+            result.reason,
+            /** @type {DisposableResourceRecord} */ (records[i]),
+            last - i
+          );
+        }
+      });
+    } else {
+      try {
+        const entryCompletion = { failed, error: cause };
+        const settled = traceRecord(source, entry, () => {
+          const result = disposeRecord(entry, entryCompletion);
+          if (entry.hint === "async") {
+            return settleWithin(result, entry, scopeLimit);
+          }
+        });
+        if (settled) {
+          await settled;
+        }
+      } catch (err) {
+        onError(err, entry, getPosition(stack, index));
+      }
+    }
+  }
+  if (onDrained) onDrained();
+
+  errors.throwIfAny();
+};
+
+/**
+ * Resolves with the value, or rejects with the abort reason as soon as the
+ * signal is aborted
+ *
+ * @template T
+ * @param {T | PromiseLike<T>} value
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+const raceAbort = (value, signal) => {
+  if (!signal) {
+    return Promise.resolve(value);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    Promise.resolve(value)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+};
+
+/**
+ * Closes an iterator after its iteration was aborted. If a step is still
+ * pending, the iterator may be stuck and closing it is not waited upon
+ *
+ * @param {Iterator<unknown> | AsyncIterator<unknown>} iter
+ * @param {boolean} pending
+ */
+const closeAbortedIterator = async (iter, pending) => {
+  if (typeof iter.return !== "function") return;
+  const result = Promise.resolve().then(() =>
+    /** @type {NonNullable<typeof iter.return>} */ (iter.return).call(iter)
+  );
+  if (pending) {
+    result.catch(() => {});
+  } else {
+    await result;
+  }
+};
+
+/**
+ * Disposes of the resources of an iteration, then pulls the remaining values
+ * of the source iterator, disposing of their resources as they are acquired.
+ * Throws the errors of the disposals and of the source, if any
+ *
  * @param {Iterator<unknown> | AsyncIterator<unknown>} iter
  * @param {MapFn} getDisposable
+ * @param {() => Promise<void>} dispose Disposes of the resources of the
+ * iteration
+ * @param {() => boolean} isExhausted Whether the source iterator is known to
+ * have completed
+ * @param {object} source The wrapped iterator for which to publish disposals
+ * @param {ErrorPolicyOptions} [errorPolicy]
+ */
+const disposeAndDrain = async (
+  iter,
+  getDisposable,
+  dispose,
+  isExhausted,
+  source,
+  errorPolicy
+) => {
+  let hasError = false;
+  /** @type {unknown} */
+  let error;
+  /** @param {unknown} err */
+  const onError = (err) => {
+    error = hasError ? new SuppressedError(err, error) : err;
+    hasError = true;
+  };
+
+  try {
+    await dispose();
+  } catch (err) {
+    onError(err);
+  }
+  while (!isExhausted()) {
+    let nextResult;
+    try {
+      nextResult = await iter.next();
+    } catch (err) {
+      onError(err);
+      break;
+    }
+    if (nextResult.done) break;
+    try {
+      /** @type {DisposableResourceRecord[]} */
+      const stack = [];
+      const { value } = nextResult;
+      traceResourceAdded(
+        source,
+        addDisposable(getDisposable(value), value, stack)
+      );
+      await disposeResources(stack, undefined, undefined, source, errorPolicy);
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  if (hasError) {
+    throw error;
+  }
+};
+
+/**
+ * Creates the `return` and `throw` methods of a wrapped iterator, closing the
+ * iteration: the resources are disposed of, then the call is forwarded to the
+ * source iterator, which is drained instead in `drain` mode
+ *
+ * @param {Iterator<unknown> | AsyncIterator<unknown>} iter
+ * @param {UsingFromMode} mode
+ * @param {() => void} close Marks the iteration as closed
+ * @param {() => Promise<void>} dispose Disposes of the resources of the
+ * iteration
+ * @param {() => Promise<void>} drain Disposes of the resources and drains the
+ * source iterator
  */
-const wrapIterator = (iter, getDisposable) => {
+const createClosingMethods = (iter, mode, close, dispose, drain) => {
   const hasReturn = typeof iter.return === "function";
   const hasThrow = typeof iter.throw === "function";
 
+  return {
+    /** @param {[] | [any]} args */
+    return: async (...args) => {
+      close();
+      if (mode === "drain") {
+        await drain();
+        return { value: args[0], done: true };
+      }
+      await dispose();
+      if (hasReturn) {
+        // @ts-ignore
+        return iter.return(...args);
+      } else {
+        return { value: args[0], done: true };
+      }
+    },
+    /** @param {[] | [any]} args */
+    throw: async (...args) => {
+      close();
+      if (mode === "drain") {
+        try {
+          await drain();
+        } catch (drainError) {
+          throw new SuppressedError(drainError, args[0]);
+        }
+        throw args[0];
+      }
+      await dispose();
+      if (hasThrow) {
+        // @ts-ignore
+        return iter.throw(...args);
+      } else {
+        if (hasReturn) {
+          // @ts-ignore
+          await iter.return(undefined);
+        }
+        throw args[0];
+      }
+    },
+  };
+};
+
+/**
+ * @param {Iterator<unknown> | AsyncIterator<unknown>} iter
+ * @param {MapFn} getDisposable
+ * @param {AbortSignal} [signal]
+ * @param {UsingFromMode} [mode]
+ * @param {ErrorPolicyOptions} [errorPolicy]
+ */
+const wrapIterator = (
+  iter,
+  getDisposable,
+  signal,
+  mode = "each",
+  errorPolicy = undefined
+) => {
+  const hasReturn = typeof iter.return === "function";
+
   let closed = false;
 
   /** @type {DisposableResourceRecord | undefined} */
   let pendingRecord;
-  const dispose = () => {
-    if (!pendingRecord) return;
-    const { disposeMethod, resourceValue } = pendingRecord;
-    pendingRecord = undefined;
-    return disposeMethod.call(resourceValue);
+
+  /**
+   * Records of the resources kept until the iteration ends, in `retain` mode
+   * @type {DisposableResourceRecord[]}
+   */
+  const retained = [];
+
+  const dispose = async () => {
+    /** @type {ResourceStackEntry[]} */
+    const stack = retained.splice(0);
+    if (pendingRecord) {
+      stack.push(pendingRecord);
+      pendingRecord = undefined;
+    }
+    await disposeResources(stack, undefined, undefined, wrapped, errorPolicy);
+  };
+
+  // Releases the current resource before moving to the next one
+  const release = async () => {
+    if (mode === "retain") {
+      if (pendingRecord) retained.push(pendingRecord);
+      pendingRecord = undefined;
+    } else {
+      await dispose();
+    }
+  };
+
+  const close = () => {
+    closed = true;
   };
 
+  const drain = () =>
+    disposeAndDrain(
+      iter,
+      getDisposable,
+      dispose,
+      () => false,
+      wrapped,
+      errorPolicy
+    );
+
   /**
    * @template T
    * @param {() => T} fn
@@ -103,17 +682,21 @@ const wrapIterator = (iter, getDisposable) => {
    */
   const tryOrClose = async (fn, closeIter) => {
     try {
-      return fn();
+      return await fn();
     } catch (err) {
       closed = true;
       try {
         await dispose();
       } catch (disposeError) {
-        throw new AggregateError([err, disposeError]);
+        throw new SuppressedError(disposeError, err);
       } finally {
-        if (closeIter && hasReturn) {
-          // @ts-ignore
-          await iter.return();
+        if (closeIter) {
+          if (mode === "drain") {
+            await drain();
+          } else if (hasReturn) {
+            // @ts-ignore
+            await iter.return();
+          }
         }
       }
       throw err;
@@ -124,49 +707,305 @@ const wrapIterator = (iter, getDisposable) => {
   const wrapped = createAsyncIterator({
     /** @param {[] | [any]} args */
     next: async (...args) => {
-      await tryOrClose(dispose, true);
+      await tryOrClose(release, true);
+      if (!closed && signal && signal.aborted) {
+        closed = true;
+        try {
+          await dispose();
+        } catch (disposeError) {
+          throw new SuppressedError(disposeError, signal.reason);
+        } finally {
+          await closeAbortedIterator(iter, false);
+        }
+        throw signal.reason;
+      }
       const nextResult = closed
         ? { value: undefined, done: true }
-        : await tryOrClose(async () => iter.next(...args));
+        : await tryOrClose(async () => {
+            try {
+              return await raceAbort(iter.next(...args), signal);
+            } catch (err) {
+              if (signal && signal.aborted && err === signal.reason) {
+                closed = true;
+                await closeAbortedIterator(iter, true);
+              }
+              throw err;
+            }
+          });
       await tryOrClose(async () => {
         if (!nextResult.done) {
           /** @type {DisposableResourceRecord[]} */
           const stack = [];
           const { value } = nextResult;
-          addDisposable(getDisposable(value), value, stack);
-          // Call dispose in case of some re-entrancy
-          await dispose();
+          traceResourceAdded(
+            wrapped,
+            addDisposable(getDisposable(value), value, stack)
+          );
+          // Call release in case of some re-entrancy
+          await release();
           pendingRecord = stack[0];
+        } else {
+          // Retained resources are disposed of once the source completes
+          await dispose();
         }
       }, true);
       return nextResult;
     },
-    /** @param {[] | [any]} args */
-    return: async (...args) => {
-      closed = true;
-      await dispose();
-      if (hasReturn) {
-        // @ts-ignore
-        return iter.return(...args);
+    ...createClosingMethods(iter, mode, close, dispose, drain),
+    [Symbol.asyncIterator]: () => wrapped,
+    async [symbolAsyncDispose]() {
+      // @ts-ignore
+      await wrapped.return();
+    },
+  });
+
+  return wrapped;
+};
+
+/**
+ * @typedef {Object} PrefetchedStep
+ * @property {IteratorResult<unknown>} [result] The result of the step, unless
+ * it failed
+ * @property {DisposableResourceRecord} [record] The record of the acquired
+ * resource
+ * @property {boolean} [failed] Whether the step failed
+ * @property {unknown} [error] The error causing the failure of the step
+ * @property {boolean} [closeSource] Whether the source iterator should be
+ * closed after the failure
+ */
+
+/**
+ * Wraps an iterator like `wrapIterator`, but requests steps of the source
+ * iterator ahead of the consumer, so that up to `prefetch` upcoming resources
+ * are acquired while the current one is used. Resources prefetched but never
+ * yielded are disposed of when the iteration is closed, in reverse order of
+ * their acquisition.
+ *
+ * Steps are requested without waiting for the previous ones to settle, and
+ * arguments of `next` are not forwarded.
+ *
+ * @param {Iterator<unknown> | AsyncIterator<unknown>} iter
+ * @param {MapFn} getDisposable
+ * @param {number} prefetch
+ * @param {AbortSignal} [signal]
+ * @param {UsingFromMode} [mode]
+ * @param {ErrorPolicyOptions} [errorPolicy]
+ */
+const wrapPrefetchingIterator = (
+  iter,
+  getDisposable,
+  prefetch,
+  signal,
+  mode = "each",
+  errorPolicy = undefined
+) => {
+  const hasReturn = typeof iter.return === "function";
+
+  let closed = false;
+
+  // Set once the source iterator completed or a step failed
+  let exhausted = false;
+
+  /** @type {Array<Promise<PrefetchedStep>>} */
+  const steps = [];
+
+  /** @type {DisposableResourceRecord | undefined} */
+  let pendingRecord;
+
+  /**
+   * Records of the resources kept until the iteration ends, in `retain` mode
+   * @type {DisposableResourceRecord[]}
+   */
+  const retained = [];
+
+  const requestStep = () => {
+    steps.push(
+      (async () => {
+        /** @type {IteratorResult<unknown>} */
+        let result;
+        try {
+          result = await iter.next();
+        } catch (error) {
+          exhausted = true;
+          return { failed: true, error, closeSource: false };
+        }
+        if (result.done) {
+          exhausted = true;
+          return { result };
+        }
+        try {
+          /** @type {DisposableResourceRecord[]} */
+          const stack = [];
+          const { value } = result;
+          traceResourceAdded(
+            wrapped,
+            addDisposable(getDisposable(value), value, stack)
+          );
+          return { result, record: stack[0] };
+        } catch (error) {
+          exhausted = true;
+          return { failed: true, error, closeSource: true };
+        }
+      })()
+    );
+  };
+
+  // Releases the current resource before moving to the next one
+  const release = async () => {
+    if (!pendingRecord) return;
+    const record = pendingRecord;
+    pendingRecord = undefined;
+    if (mode === "retain") {
+      retained.push(record);
+    } else {
+      await disposeResources(
+        [record],
+        undefined,
+        undefined,
+        wrapped,
+        errorPolicy
+      );
+    }
+  };
+
+  /**
+   * Disposes of the retained, current and prefetched resources in reverse
+   * order of their acquisition, once the prefetched steps settled
+   */
+  const disposeAll = async () => {
+    const settled = await Promise.all(steps.splice(0));
+    /** @type {ResourceStackEntry[]} */
+    const stack = retained.splice(0);
+    if (pendingRecord) {
+      stack.push(pendingRecord);
+      pendingRecord = undefined;
+    }
+    for (const { record } of settled) {
+      if (record) stack.push(record);
+    }
+    await disposeResources(stack, undefined, undefined, wrapped, errorPolicy);
+  };
+
+  const close = () => {
+    closed = true;
+  };
+
+  const drain = () =>
+    disposeAndDrain(
+      iter,
+      getDisposable,
+      disposeAll,
+      () => exhausted,
+      wrapped,
+      errorPolicy
+    );
+
+  /**
+   * Closes the iteration after a failure: disposes of the resources, and
+   * closes or drains the source iterator if needed, before throwing the error
+   *
+   * @param {unknown} error
+   * @param {boolean} closeSource
+   * @returns {Promise<never>}
+   */
+  const closeAfterError = async (error, closeSource) => {
+    closed = true;
+    const drainSource = closeSource && mode === "drain";
+    try {
+      if (drainSource) {
+        await drain();
       } else {
-        return { value: args[0], done: true };
+        await disposeAll();
       }
-    },
-    /** @param {[] | [any]} args */
-    throw: async (...args) => {
-      closed = true;
-      await dispose();
-      if (hasThrow) {
+    } catch (disposeError) {
+      throw new SuppressedError(disposeError, error);
+    } finally {
+      if (closeSource && !drainSource && hasReturn) {
         // @ts-ignore
-        return iter.throw(...args);
-      } else {
-        if (hasReturn) {
-          // @ts-ignore
-          await iter.return(undefined);
-        }
-        throw args[0];
+        await iter.return();
+      }
+    }
+    throw error;
+  };
+
+  /**
+   * Closes the iteration after the signal was aborted. Prefetched steps may
+   * be stuck, their resources are disposed of in the background once acquired
+   *
+   * @param {unknown} reason
+   * @returns {Promise<never>}
+   */
+  const closeAborted = async (reason) => {
+    closed = true;
+    const pending = steps.splice(0);
+    for (const step of pending) {
+      step
+        .then(({ record }) => {
+          if (record) {
+            return disposeResources(
+              [record],
+              undefined,
+              undefined,
+              wrapped,
+              errorPolicy
+            );
+          }
+        })
+        .catch(reportError);
+    }
+    try {
+      await disposeAll();
+    } catch (disposeError) {
+      throw new SuppressedError(disposeError, reason);
+    } finally {
+      await closeAbortedIterator(iter, pending.length > 0);
+    }
+    throw reason;
+  };
+
+  /** @type {AsyncIterableIterator<any>} */
+  const wrapped = createAsyncIterator({
+    next: async () => {
+      try {
+        await release();
+      } catch (err) {
+        return closeAfterError(err, true);
+      }
+      if (!closed && signal && signal.aborted) {
+        return closeAborted(signal.reason);
       }
+      if (closed) {
+        return { value: undefined, done: true };
+      }
+
+      while (!exhausted && steps.length <= prefetch) {
+        requestStep();
+      }
+      const step = /** @type {Promise<PrefetchedStep>} */ (steps.shift());
+
+      /** @type {PrefetchedStep} */
+      let settled;
+      try {
+        settled = await raceAbort(step, signal);
+      } catch (err) {
+        // Steps never fail, the signal was aborted while waiting
+        steps.unshift(step);
+        return closeAborted(err);
+      }
+
+      const { result, failed, error, closeSource } = settled;
+      if (failed) {
+        return closeAfterError(error, !!closeSource);
+      }
+      if (result && result.done) {
+        closed = true;
+        await disposeAll();
+        return result;
+      }
+      pendingRecord = settled.record;
+      return result;
     },
+    ...createClosingMethods(iter, mode, close, disposeAll, drain),
     [Symbol.asyncIterator]: () => wrapped,
     async [symbolAsyncDispose]() {
       // @ts-ignore
@@ -179,18 +1018,161 @@ const wrapIterator = (iter, getDisposable) => {
 
 export const AsyncDisposable = /** @type {DisposableConstructor} */ (
   class AsyncDisposable {
-    /** @type {Array<DisposableResourceRecord>} */
+    /** @type {Array<ResourceStackEntry>} */
     #resourceStack = [];
 
-    /** @type {'pending'|'disposed'} */
+    /** @type {Map<unknown, Array<DisposableResourceRecord>>} */
+    #groups = new Map();
+
+    /** @type {number | undefined} */
+    #timeout = undefined;
+
+    /** @type {ErrorPolicyOptions | undefined} */
+    #errorPolicy = undefined;
+
+    /** @type {AbortController | undefined} */
+    #abortController = undefined;
+
+    /** @type {Promise<void> | undefined} */
+    #disposal = undefined;
+
+    /** @type {{error: unknown} | undefined} */
+    #disposalError = undefined;
+
+    #leakInfo = trackAggregate(this, "AsyncDisposable");
+
+    /**
+     * Removes the aggregate from the stack of its parent, if forked
+     * @type {(() => void) | undefined}
+     */
+    #detach = undefined;
+
+    /**
+     * The tasks spawned in the aggregate, once `using.spawn` is first called
+     * @type {TaskGroup | undefined}
+     */
+    #taskGroup = undefined;
+
+    /** @type {State} */
     #state = "pending";
 
-    /**
-     * @param {DisposableResource[]} args
-     */
-    constructor(...args) {
+    /** @type {Promise<void> | undefined} */
+    #whenDisposed = undefined;
+
+    /** @type {(() => void) | undefined} */
+    #resolveWhenDisposed = undefined;
+
+    /**
+     * @param {Array<DisposableResource | AggregateOptions>} args
+     */
+    constructor(...args) {
+      const { timeout } = takeAggregateOptions(args) || {};
+      if (timeout !== undefined) {
+        assertValidTimeout(timeout);
+        this.#timeout = timeout;
+      }
+
+      const stack = this.#resourceStack;
+      const using = Object.assign(this.using.bind(this), {
+        /** @param {() => void | PromiseLike<void>} onSuccess */
+        onSuccess: (onSuccess) => {
+          this.#assertNotDisposed();
+          addCompletionCallback(onSuccess, false, stack);
+        },
+        /** @param {(error: unknown) => void | PromiseLike<void>} onFailure */
+        onFailure: (onFailure) => {
+          this.#assertNotDisposed();
+          addCompletionCallback(onFailure, true, stack);
+        },
+        /** @param {AbortSignal} signal */
+        disposeOnAbort: (signal) => {
+          this.#assertNotDisposed();
+          callOnBehalf(using.disposeOnAbort, () =>
+            this.#disposeOnAbort(signal)
+          );
+        },
+        /**
+         * @param {import("./event-listener.js").EventListenerTarget} target
+         * @param {string | symbol} type
+         * @param {import("./event-listener.js").EventListenerHandler} handler
+         * @param {boolean | AddEventListenerOptions} [options]
+         */
+        listen: (target, type, handler, options) => {
+          this.#assertNotDisposed();
+          callOnBehalf(using.listen, () =>
+            this.using(addListener(target, type, handler, options), {
+              label: `${String(type)} listener`,
+            })
+          );
+        },
+        /**
+         * @param {import("./timers.js").TimerCallback} callback
+         * @param {number} [ms]
+         * @param {any[]} args
+         */
+        timeout: (callback, ms, ...args) => {
+          this.#assertNotDisposed();
+          const { handle, cancel } = scheduleTimeout(
+            (...callbackArgs) => {
+              // A fired timer no longer needs to be cleared
+              this.#untrack(cancel);
+              callback(...callbackArgs);
+            },
+            ms,
+            args
+          );
+          callOnBehalf(using.timeout, () =>
+            this.using(cancel, { label: "timeout" })
+          );
+          return handle;
+        },
+        /**
+         * @param {import("./timers.js").TimerCallback} callback
+         * @param {number} [ms]
+         * @param {any[]} args
+         */
+        interval: (callback, ms, ...args) => {
+          this.#assertNotDisposed();
+          const { handle, cancel } = scheduleInterval(callback, ms, args);
+          callOnBehalf(using.interval, () =>
+            this.using(cancel, { label: "interval" })
+          );
+          return handle;
+        },
+        /**
+         * @param {import("./timers.js").TimerCallback} callback
+         * @param {any[]} args
+         */
+        immediate: (callback, ...args) => {
+          this.#assertNotDisposed();
+          const { handle, cancel } = scheduleImmediate((...callbackArgs) => {
+            this.#untrack(cancel);
+            callback(...callbackArgs);
+          }, args);
+          callOnBehalf(using.immediate, () =>
+            this.using(cancel, { label: "immediate" })
+          );
+          return handle;
+        },
+        /** @param {number} [ms] */
+        delay: (ms) => delay(ms, this.signal),
+        /**
+         * @param {ErrorPolicy} errorPolicy
+         * @param {(error: import("./errors.js").DisposalError) => void} [onError]
+         */
+        errorPolicy: (errorPolicy, onError) => {
+          this.#assertNotDisposed();
+          assertValidErrorPolicy(errorPolicy, onError);
+          this.#errorPolicy = onError
+            ? { errorPolicy, onError }
+            : { errorPolicy };
+        },
+        /** @param {(signal: AbortSignal) => unknown} task */
+        spawn: (task) => this.#spawn(task),
+      });
+
       Object.defineProperty(this, "using", {
-        value: this.using.bind(this),
+        value: using,
         configurable: true,
         writable: true,
         enumerable: true,
@@ -199,7 +1181,7 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
       if (args.length) {
         let fromDone = false;
         let fromError;
-        this.#from(args, undefined, (err) => {
+        this.#from(args, undefined, undefined, (err) => {
           fromDone = true;
           fromError = err;
         });
@@ -213,120 +1195,505 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
     }
 
     async [symbolAsyncDispose]() {
-      if (this.#state === "disposed") {
+      await this.#dispose();
+    }
+
+    get signal() {
+      if (!this.#abortController) {
+        this.#abortController = new AbortController();
+        const failure = this.#taskGroup && this.#taskGroup.failure;
+        if (failure) {
+          this.#abortController.abort(failure.error);
+        } else if (this.#state !== "pending") {
+          this.#abortController.abort();
+        }
+      }
+      return this.#abortController.signal;
+    }
+
+    /**
+     * @param {Completion} [completion]
+     */
+    async #dispose(completion) {
+      this.#startDisposal(completion);
+      await this.#disposal;
+
+      const disposalError = this.#disposalError;
+      if (disposalError) {
+        this.#disposalError = undefined;
+        throw disposalError.error;
+      }
+    }
+
+    /**
+     * Starts disposing of the resources, keeping any error to be thrown by
+     * the first caller of `#dispose` once the disposal completes
+     *
+     * @param {Completion} [completion]
+     */
+    #startDisposal(completion) {
+      if (this.#state !== "pending") {
         return;
       }
-      this.#state = "disposed";
+      this.#state = "disposing";
+      untrackAggregate(this, this.#leakInfo);
+      if (this.#detach) {
+        this.#detach();
+        this.#detach = undefined;
+      }
+      // Groups used during the disposal are added anew to the top of the stack
+      this.#groups.clear();
 
-      const errors = [];
-      const multipleResources = this.#resourceStack.length > 1;
+      if (this.#abortController) {
+        if (completion && completion.failed && completion.error !== undefined) {
+          this.#abortController.abort(completion.error);
+        } else {
+          this.#abortController.abort();
+        }
+      }
 
-      while (this.#resourceStack.length) {
-        const { resourceValue, hint, disposeMethod } =
-          /** @type {DisposableResourceRecord} */ (this.#resourceStack.pop());
+      const completed = traceDisposal(this, completion || { failed: false });
+      this.#disposal = (
+        this.#taskGroup
+          ? this.#disposeWithTasks(this.#taskGroup, completion)
+          : disposeResources(
+              this.#resourceStack,
+              completion,
+              this.#timeout,
+              this,
+              this.#errorPolicy,
+              () => this.#markDrained()
+            )
+      )
+        .catch((error) => {
+          this.#disposalError = { error };
+        })
+        .then(() => {
+          this.#completeDisposal();
+          if (completed) completed(this.#disposalError);
+        });
+    }
 
-        try {
-          switch (hint) {
-            case "sync":
-              disposeMethod.call(resourceValue);
-              break;
-            case "async":
-              await disposeMethod.call(resourceValue);
-              break;
-            default:
-              throw new TypeError("Invalid disposable record");
+    /**
+     * Cancels the spawned tasks and waits for them to settle before disposing
+     * of the resources. The first task failure fails the scope, and is thrown
+     * once the resources are disposed of, suppressed by any disposal error.
+     * A failure which is already the error of the scope, e.g. rethrown by the
+     * block, is not thrown again. Rejections of cancelled tasks with the abort
+     * reason are not failures
+     *
+     * @param {TaskGroup} group
+     * @param {Completion} [completion]
+     */
+    async #disposeWithTasks(group, completion) {
+      const { controller, pending } = group;
+      if (!controller.signal.aborted) {
+        if (completion && completion.failed && completion.error !== undefined) {
+          controller.abort(completion.error);
+        } else {
+          controller.abort();
+        }
+      }
+      await Promise.all(pending);
+
+      const cause = completion && completion.error;
+      const failure =
+        group.failure && group.failure.error !== cause
+          ? group.failure
+          : undefined;
+      if (failure) {
+        completion = {
+          failed: true,
+          error:
+            cause === undefined
+              ? failure.error
+              : new SuppressedError(failure.error, cause),
+        };
+      }
+      try {
+        await disposeResources(
+          this.#resourceStack,
+          completion,
+          this.#timeout,
+          this,
+          this.#errorPolicy,
+          () => this.#markDrained()
+        );
+      } catch (error) {
+        throw failure ? new SuppressedError(error, failure.error) : error;
+      }
+      if (failure) {
+        throw failure.error;
+      }
+    }
+
+    /**
+     * Starts a task bound to the scope, invoked synchronously with the signal
+     * of the task group
+     *
+     * @param {(signal: AbortSignal) => unknown} task
+     */
+    #spawn(task) {
+      if (typeof task !== "function") {
+        throw new TypeError("task is not a function");
+      }
+      if (this.#state !== "pending") {
+        throw new ReferenceError(
+          "Cannot spawn a task once the disposal of AsyncDisposable started"
+        );
+      }
+      if (!this.#taskGroup) {
+        this.#taskGroup = {
+          controller: new AbortController(),
+          pending: new Set(),
+          failure: undefined,
+        };
+      }
+      const group = this.#taskGroup;
+      const { controller } = group;
+
+      const result = new Promise((resolve) => resolve(task(controller.signal)));
+      const settled = result.then(
+        () => {},
+        (error) => {
+          const { signal } = controller;
+          // Cancelled tasks are expected to reject with the abort reason
+          if (
+            signal.aborted &&
+            (error === signal.reason || isAbortError(error))
+          ) {
+            return;
           }
-        } catch (err) {
-          errors.push(err);
+          if (!group.failure) {
+            group.failure = { error };
+            controller.abort(error);
+            // The block is cancelled as well, its pending operations
+            // rejecting with the failure
+            if (this.#abortController) this.#abortController.abort(error);
+          }
+        }
+      );
+      group.pending.add(settled);
+      settled.then(() => group.pending.delete(settled));
+
+      return result;
+    }
+
+    /**
+     * @param {AbortSignal} signal
+     */
+    #disposeOnAbort(signal) {
+      // Errors are thrown by the next disposal, e.g. when exiting the block
+      const onAbort = () =>
+        this.#startDisposal({ failed: true, error: signal.reason });
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+      this.using(() => signal.removeEventListener("abort", onAbort), {
+        label: "abort listener",
+      });
+    }
+
+    get size() {
+      let size = 0;
+      for (const entry of this.#resourceStack) {
+        size += entry.hint === "group" ? entry.records.length : 1;
+      }
+      return size;
+    }
+
+    get disposed() {
+      return this.#state !== "pending";
+    }
+
+    get state() {
+      return this.#state;
+    }
+
+    get whenDisposed() {
+      if (!this.#whenDisposed) {
+        // The disposal promise settles once the disposal has completed
+        this.#whenDisposed =
+          this.#disposal ||
+          new Promise((resolve) => {
+            this.#resolveWhenDisposed = resolve;
+          });
+      }
+      return this.#whenDisposed;
+    }
+
+    /**
+     * Rejects the resources added once the stack is drained, in the same
+     * step, as the disposal no longer awaits them
+     */
+    #markDrained() {
+      this.#state = "disposed";
+    }
+
+    /**
+     * Marks the disposal as complete, once the stack is drained and the
+     * error, if any, is kept
+     */
+    #completeDisposal() {
+      this.#state = "disposed";
+      if (this.#resolveWhenDisposed) {
+        this.#resolveWhenDisposed();
+        this.#resolveWhenDisposed = undefined;
+      }
+    }
+
+    /**
+     * Stops tracking the topmost record of the resource, which no longer needs
+     * to be disposed of
+     *
+     * @param {unknown} resourceValue
+     */
+    #untrack(resourceValue) {
+      const stack = this.#resourceStack;
+      for (let index = stack.length - 1; index >= 0; index--) {
+        const entry = /** @type {ResourceStackEntry} */ (stack[index]);
+        if (entry.hint !== "group" && entry.resourceValue === resourceValue) {
+          stack.splice(index, 1);
+          return;
         }
       }
+    }
+
+    #assertNotDisposed() {
+      if (this.#state === "disposed") {
+        throw new ReferenceError("AsyncDisposable already disposed");
+      }
+    }
 
-      if (errors.length) {
-        if (multipleResources) {
-          throw new AggregateError(errors);
+    /** @returns {IterableIterator<ResourceInfo>} */
+    resources() {
+      /** @type {ResourceInfo[]} */
+      const resources = [];
+      for (const entry of inDisposalOrder(this.#resourceStack)) {
+        if (entry.hint === "group") {
+          for (const { label, hint, resourceValue } of [
+            ...entry.records,
+          ].reverse()) {
+            resources.push({
+              label,
+              hint,
+              resource: resourceValue,
+              group: entry.key,
+            });
+          }
         } else {
-          throw errors.pop();
+          const { label, hint, resourceValue } = entry;
+          resources.push({ label, hint, resource: resourceValue });
         }
       }
+      return resources.values();
+    }
+
+    /**
+     * @param {number} depth
+     * @param {import("./inspect.js").InspectOptions} [options]
+     * @param {import("./inspect.js").Inspect} [inspect]
+     */
+    [inspectSymbol](depth, options, inspect) {
+      const details = {
+        state: this.state,
+        size: this.size,
+        resources: [...this.resources()],
+      };
+      return inspectAggregate(
+        "AsyncDisposable",
+        details,
+        depth,
+        options,
+        inspect
+      );
     }
 
     /**
      * @param {any} value
-     * @param {DisposeMethod} [onDispose]
+     * @param {DisposeMethod | UsingOptions | string} [onDispose]
+     * @param {UsingOptions | string} [options]
      */
-    using(value, onDispose) {
-      const stack = this.#resourceStack;
+    using(value, onDispose, options) {
+      this.#assertNotDisposed();
+      if (
+        typeof onDispose === "string" ||
+        (onDispose !== null && typeof onDispose === "object")
+      ) {
+        options = onDispose;
+        onDispose = undefined;
+      }
+
+      const { group, timeout, label, dependsOn } =
+        typeof options === "string" ? { label: options } : options || {};
+      if (timeout !== undefined) {
+        assertValidTimeout(timeout);
+      }
+      const dependencies = getDependencies(dependsOn);
+
+      const stack =
+        group !== undefined ? this.#getGroup(group) : this.#resourceStack;
+
+      const record =
+        typeof onDispose === "function"
+          ? addDisposable(onDispose, value, stack)
+          : addDisposable(value, value, stack);
+
+      traceResourceAdded(this, record);
+
+      if (record && timeout !== undefined) {
+        record.timeout = timeout;
+      }
+      if (record && label !== undefined) {
+        record.label = String(label);
+      }
+      if (record && dependencies) {
+        record.dependsOn = dependencies;
+        if (dependencies.length) trackDependencies(this.#resourceStack);
+      }
 
-      typeof onDispose === "function"
-        ? addDisposable(onDispose, value, stack)
-        : addDisposable(value, value, stack);
+      recordUsing(this.#leakInfo, AsyncDisposable.prototype.using);
 
       return value;
     }
 
+    fork() {
+      this.#assertNotDisposed();
+
+      const child = callOnBehalf(
+        AsyncDisposable.prototype.fork,
+        () => new AsyncDisposable()
+      );
+      const stack = this.#resourceStack;
+      /** @type {DisposableResourceRecord} */
+      const record = {
+        resourceValue: child,
+        hint: "async",
+        // The child completes like its parent
+        disposeMethod: (completion) => child.#dispose(completion),
+        withCompletion: true,
+        label: "forked scope",
+      };
+      stack.push(record);
+      traceResourceAdded(this, record);
+      recordUsing(this.#leakInfo, AsyncDisposable.prototype.fork);
+
+      child.#detach = () => {
+        const index = stack.lastIndexOf(record);
+        if (index !== -1) stack.splice(index, 1);
+      };
+
+      return child;
+    }
+
+    /**
+     * Returns the records of the group, adding the group to the top of the
+     * stack when first used
+     *
+     * @param {unknown} key
+     */
+    #getGroup(key) {
+      let records = this.#groups.get(key);
+      if (!records) {
+        records = [];
+        this.#groups.set(key, records);
+        this.#resourceStack.push({ hint: "group", key, records });
+      }
+      return records;
+    }
+
     /**
      * @param {Iterable<unknown> | AsyncIterable<unknown>} disposables
      * @param {MapFn} [mapFn]
+     * @param {AbortSignal} [signal]
      * @param {(err?: unknown) => void} [syncDone]
      */
-    async #from(disposables, mapFn = defaultMapFn, syncDone = undefined) {
+    async #from(
+      disposables,
+      mapFn = defaultMapFn,
+      signal = undefined,
+      syncDone = undefined
+    ) {
       const res = this;
       const stack = res.#resourceStack;
 
-      const errors = [];
-      let iterationError;
+      let hasError = false;
+      /** @type {unknown} */
+      let error;
+      /** @param {unknown} err */
+      const onError = (err) => {
+        error = hasError ? new SuppressedError(err, error) : err;
+        hasError = true;
+      };
+
       try {
         const asyncIterable = /** @type {AsyncIterable<unknown>} */ (
           disposables
         );
         const syncIterable = /** @type {Iterable<unknown>} */ (disposables);
         if (!syncDone && Symbol.asyncIterator in asyncIterable) {
-          for await (const disposable of asyncIterable) {
-            addDisposable(mapFn(disposable), disposable, stack, (err) =>
-              errors.push(err)
-            );
+          const iterator = asyncIterable[Symbol.asyncIterator]();
+          for (;;) {
+            if (signal && signal.aborted) {
+              await closeAbortedIterator(iterator, false);
+              throw signal.reason;
+            }
+            let result;
+            try {
+              result = await raceAbort(iterator.next(), signal);
+            } catch (err) {
+              if (signal && signal.aborted && err === signal.reason) {
+                await closeAbortedIterator(iterator, true);
+              }
+              throw err;
+            }
+            if (result.done) break;
+            const disposable = result.value;
+            try {
+              traceResourceAdded(
+                res,
+                addDisposable(mapFn(disposable), disposable, stack, onError)
+              );
+            } catch (err) {
+              if (typeof iterator.return === "function") {
+                await iterator.return();
+              }
+              throw err;
+            }
           }
         } else {
           for (const disposable of syncIterable) {
-            addDisposable(mapFn(disposable), disposable, stack, (err) =>
-              errors.push(err)
+            if (signal && signal.aborted) {
+              throw signal.reason;
+            }
+            traceResourceAdded(
+              res,
+              addDisposable(mapFn(disposable), disposable, stack, onError)
             );
           }
         }
       } catch (err) {
-        iterationError = err;
+        onError(err);
       }
 
-      if (iterationError || errors.length) {
+      if (stack.length) {
+        recordUsing(res.#leakInfo, res.constructor);
+      }
+
+      if (hasError) {
         let disposeResult;
-        const multipleResources = stack.length;
         try {
           disposeResult = res[symbolAsyncDispose]();
           if (!syncDone) {
             await disposeResult;
           }
         } catch (err) {
-          const disposeErrors = multipleResources
-            ? /** @type {AggregateError} */ (err).errors
-            : [err];
-
-          errors.push(...disposeErrors);
+          onError(err);
         }
 
-        let error;
-        if (!errors.length) {
-          error = iterationError;
-        } else {
-          error = new AggregateError(errors);
-          if (iterationError) {
-            Object.defineProperty(error, "cause", {
-              value: iterationError,
-              enumerable: false,
-              writable: true,
-              configurable: true,
-            });
-          }
-        }
         if (syncDone) {
           syncDone(error);
           return disposeResult;
@@ -340,11 +1707,27 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
 
     /**
      * @param {Iterable<unknown> | AsyncIterable<unknown>} disposables
-     * @param {MapFn} [mapFn]
+     * @param {MapFn | FromOptions} [mapFn]
+     * @param {FromOptions} [options]
      */
-    static async from(disposables, mapFn = undefined) {
-      const res = new (this || AsyncDisposable)();
-      await res.#from(disposables, mapFn);
+    static async from(disposables, mapFn = undefined, options = undefined) {
+      if (mapFn !== null && typeof mapFn === "object") {
+        options = mapFn;
+        mapFn = undefined;
+      }
+      const { signal, timeout } = options || {};
+      if (timeout !== undefined) {
+        assertValidTimeout(timeout);
+      }
+
+      const res = callOnBehalf(
+        AsyncDisposable.from,
+        () => new (this || AsyncDisposable)()
+      );
+      if (timeout !== undefined) {
+        res.#timeout = timeout;
+      }
+      await res.#from(disposables, mapFn, signal);
 
       return res;
     }
@@ -352,9 +1735,21 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
     /**
      *
      * @param {Iterable<unknown> | AsyncIterable<unknown>} values
-     * @param {MapFn} [mapFn]
+     * @param {MapFn | UsingFromOptions} [mapFn]
+     * @param {UsingFromOptions} [options]
      */
-    static usingFrom(values, mapFn = defaultMapFn) {
+    static usingFrom(values, mapFn = defaultMapFn, options = undefined) {
+      if (mapFn !== null && typeof mapFn === "object") {
+        options = mapFn;
+        mapFn = defaultMapFn;
+      }
+      const { signal, prefetch = 0, mode = "each" } = options || {};
+      if (!Number.isInteger(prefetch) || prefetch < 0) {
+        throw new RangeError("prefetch must be a non-negative integer");
+      }
+      assertValidMode(mode);
+      const errorPolicy = getErrorPolicy(options);
+
       const asyncIterable = /** @type {AsyncIterable<unknown>} */ (values);
       const syncIterable = /** @type {Iterable<unknown>} */ (values);
 
@@ -374,29 +1769,179 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
           const iterator = isAsync
             ? asyncIterable[Symbol.asyncIterator]()
             : syncIterable[Symbol.iterator]();
-          return wrapIterator(iterator, mapFn);
+          if (prefetch > 0) {
+            return wrapPrefetchingIterator(
+              iterator,
+              /** @type {MapFn} */ (mapFn),
+              prefetch,
+              signal,
+              mode,
+              errorPolicy
+            );
+          }
+          return wrapIterator(
+            iterator,
+            /** @type {MapFn} */ (mapFn),
+            signal,
+            mode,
+            errorPolicy
+          );
+        },
+      };
+    }
+
+    /**
+     * @param {number} timeout
+     */
+    static withTimeout(timeout) {
+      assertValidTimeout(timeout);
+      const constructor = this || AsyncDisposable;
+
+      const iterable = {
+        [Symbol.asyncIterator]() {
+          const res = callOnBehalf(
+            iterable[Symbol.asyncIterator],
+            () => new constructor()
+          );
+          res.#timeout = timeout;
+          return AsyncDisposable.#createUsingIterator(res);
         },
       };
+      return iterable;
+    }
+
+    /**
+     * @param {Function} fn
+     */
+    static resource(fn) {
+      return createAsyncResourceFactory(/** @type {any} */ (fn));
+    }
+
+    /**
+     * @param {Function} fn
+     */
+    static scoped(fn) {
+      if (typeof fn !== "function") {
+        throw new TypeError("fn is not a function");
+      }
+      const constructor = this || AsyncDisposable;
+
+      /**
+       * @this {unknown}
+       * @param {unknown[]} args
+       */
+      const scopedFn = function (...args) {
+        const res = callOnBehalf(scopedFn, () => new constructor());
+
+        /** @type {any} */
+        let result;
+        try {
+          result = runInScope(res, () => fn.call(this, res.using, ...args));
+        } catch (err) {
+          return AsyncDisposable.#disposeAfterError(res, err);
+        }
+
+        switch (Object.prototype.toString.call(result)) {
+          case "[object Generator]":
+          case "[object AsyncGenerator]":
+            return AsyncDisposable.#scopeGenerator(res, result);
+        }
+
+        return AsyncDisposable.#settleScoped(res, result);
+      };
+      return scopedFn;
+    }
+
+    /**
+     * Disposes of the aggregate once the result of the scoped function settles
+     *
+     * @param {AsyncDisposable} res
+     * @param {unknown} result
+     */
+    static async #settleScoped(res, result) {
+      let value;
+      try {
+        value = await result;
+      } catch (err) {
+        return AsyncDisposable.#disposeAfterError(res, err);
+      }
+      await res.#dispose({ failed: false });
+      return value;
+    }
+
+    /**
+     * Disposes of the aggregate as a failure, then throws the error, suppressed
+     * by any error thrown during disposal
+     *
+     * @param {AsyncDisposable} res
+     * @param {unknown} error
+     * @returns {Promise<never>}
+     */
+    static async #disposeAfterError(res, error) {
+      try {
+        await res.#dispose({ failed: true, error });
+      } catch (disposeError) {
+        throw new SuppressedError(disposeError, error);
+      }
+      throw error;
+    }
+
+    /**
+     * @param {AsyncDisposable} res
+     * @param {Generator<unknown, unknown, unknown> | AsyncGenerator<unknown, unknown, unknown>} generator
+     */
+    static async *#scopeGenerator(res, generator) {
+      // Remains a failure if the generator is closed early by `return()`
+      /** @type {Completion | undefined} */
+      let completion = { failed: true };
+      try {
+        const result = yield* scopeGenerator(res, generator);
+        completion = { failed: false };
+        return result;
+      } catch (err) {
+        completion = undefined;
+        await AsyncDisposable.#disposeAfterError(res, err);
+      } finally {
+        if (completion) await res.#dispose(completion);
+      }
     }
 
     static [Symbol.asyncIterator]() {
-      /** @type {DisposableAggregate | undefined} */
-      let res = new (this || Disposable)();
+      return AsyncDisposable.#createUsingIterator(
+        callOnBehalf(
+          AsyncDisposable[Symbol.asyncIterator],
+          () => new (this || AsyncDisposable)()
+        )
+      );
+    }
+
+    /**
+     * @param {AsyncDisposable} aggregate
+     */
+    static #createUsingIterator(aggregate) {
+      /** @type {AsyncDisposable | undefined} */
+      let res = aggregate;
 
       let used = false;
 
+      /** @type {(() => void) | undefined} */
+      let exitScope;
+
       /** @type {import("./async-disposable.js").AsyncDisposable.UsingAsyncIterator} */
       const iterator = createAsyncIterator({
         async next() {
           if (!used && res) {
             used = true;
+            // Synchronously, so that the caller's execution context is updated
+            exitScope = enterScope(res);
             return {
               value: res,
               done: false,
             };
           } else {
+            if (exitScope) exitScope();
             if (res) {
-              await res[symbolAsyncDispose]();
+              await res.#dispose();
               res = undefined;
             }
             return {
@@ -407,14 +1952,12 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
         },
         async return() {
           used = true;
-          try {
-            if (res) {
-              await res[symbolAsyncDispose]();
-              res = undefined;
-            }
-          } catch (disposeError) {
-            // TODO: find a way to report when `return` triggered by a throw
-            throw disposeError;
+          // The iterator is closed early by a `break`, `return` or thrown
+          // error, which cannot be told apart
+          if (exitScope) exitScope();
+          if (res) {
+            await res.#dispose({ failed: true });
+            res = undefined;
           }
           return {
             value: res,
@@ -423,23 +1966,14 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
         },
         async throw(err) {
           used = true;
+          if (exitScope) exitScope();
           try {
             if (res) {
-              await res[symbolAsyncDispose]();
+              await res.#dispose({ failed: true, error: err });
               res = undefined;
             }
           } catch (disposeError) {
-            if (!("cause" in /** @type {Object}*/ (disposeError))) {
-              Object.defineProperty(disposeError, "cause", {
-                value: err,
-                enumerable: false,
-                writable: true,
-                configurable: true,
-              });
-              throw disposeError;
-            } else {
-              throw new AggregateError([err, disposeError]);
-            }
+            throw new SuppressedError(disposeError, err);
           }
           throw err;
         },
@@ -449,3 +1983,127 @@ export const AsyncDisposable = /** @type {DisposableConstructor} */ (
     }
   }
 );
+
+/** @type {AsyncDisposableStackConstructor | undefined} */
+const NativeAsyncDisposableStack = /** @type {any} */ (globalThis)
+  .AsyncDisposableStack;
+
+export const AsyncDisposableStack =
+  /** @type {AsyncDisposableStackConstructor} */ (
+    NativeAsyncDisposableStack ||
+      class AsyncDisposableStack {
+        /** @type {Array<DisposableResourceRecord>} */
+        #resourceStack = [];
+
+        /** @type {'pending'|'disposed'} */
+        #state = "pending";
+
+        get disposed() {
+          return this.#state === "disposed";
+        }
+
+        async disposeAsync() {
+          if (this.#state === "disposed") {
+            return;
+          }
+          this.#state = "disposed";
+
+          await disposeResources(this.#resourceStack);
+        }
+
+        /**
+         * @param {any} value
+         */
+        use(value) {
+          this.#assertPending();
+
+          if (value !== null && value !== undefined) {
+            if (Object(value) !== value) {
+              throw new TypeError("Invalid disposable");
+            }
+            let hint = /** @type {'sync' | 'async'} */ ("async");
+            let disposeMethod = value[symbolAsyncDispose];
+            if (disposeMethod === undefined || disposeMethod === null) {
+              hint = "sync";
+              disposeMethod = value[symbolDispose];
+            }
+            if (typeof disposeMethod !== "function") {
+              throw new TypeError("Invalid disposable");
+            }
+            this.#resourceStack.push({
+              resourceValue: value,
+              hint,
+              disposeMethod,
+            });
+          }
+
+          return value;
+        }
+
+        /**
+         * @param {any} value
+         * @param {(value: any) => void | PromiseLike<void>} onDisposeAsync
+         */
+        adopt(value, onDisposeAsync) {
+          this.#assertPending();
+
+          if (typeof onDisposeAsync !== "function") {
+            throw new TypeError("onDisposeAsync is not a function");
+          }
+          this.#resourceStack.push({
+            resourceValue: undefined,
+            hint: "async",
+            disposeMethod: () => onDisposeAsync(value),
+          });
+
+          return value;
+        }
+
+        /**
+         * @param {() => void | PromiseLike<void>} onDisposeAsync
+         */
+        defer(onDisposeAsync) {
+          this.#assertPending();
+
+          if (typeof onDisposeAsync !== "function") {
+            throw new TypeError("onDisposeAsync is not a function");
+          }
+          this.#resourceStack.push({
+            resourceValue: undefined,
+            hint: "async",
+            disposeMethod: onDisposeAsync,
+          });
+        }
+
+        move() {
+          this.#assertPending();
+
+          const stack = new AsyncDisposableStack();
+          stack.#resourceStack = this.#resourceStack;
+          this.#resourceStack = [];
+          this.#state = "disposed";
+
+          return stack;
+        }
+
+        #assertPending() {
+          if (this.#state === "disposed") {
+            throw new ReferenceError("AsyncDisposableStack already disposed");
+          }
+        }
+      }
+  );
+
+if (!NativeAsyncDisposableStack) {
+  Object.defineProperties(AsyncDisposableStack.prototype, {
+    [symbolAsyncDispose]: {
+      value: AsyncDisposableStack.prototype.disposeAsync,
+      configurable: true,
+      writable: true,
+    },
+    [Symbol.toStringTag]: {
+      value: "AsyncDisposableStack",
+      configurable: true,
+    },
+  });
+}
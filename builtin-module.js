@@ -0,0 +1,25 @@
+/**
+ * Loads a module of the NodeJS host, without a static import which would
+ * prevent loading the library on other hosts and with `require()`
+ *
+ * The module is loaded synchronously if the host provides
+ * `process.getBuiltinModule`, or else asynchronously. The callback is not
+ * invoked if the host does not provide the module.
+ *
+ * @param {string} specifier
+ * @param {(module: any) => void} onLoad
+ */
+export const loadBuiltinModule = (specifier, onLoad) => {
+  const process =
+    /** @type {{process?: {getBuiltinModule?: (id: string) => unknown}}} */ (
+      globalThis
+    ).process;
+
+  if (process && typeof process.getBuiltinModule === "function") {
+    const module = process.getBuiltinModule(specifier);
+    if (module) onLoad(module);
+    return;
+  }
+
+  import(specifier).then(onLoad, () => {});
+};
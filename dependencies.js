@@ -0,0 +1,171 @@
+/**
+ * @typedef {Object} DependentRecord
+ * @property {unknown} resourceValue
+ * @property {unknown[]} [dependsOn] Resources which must be disposed of after
+ * this one
+ */
+
+/**
+ * @typedef {Object} DependentGroup
+ * @property {'group'} hint
+ * @property {DependentRecord[]} records
+ */
+
+/** @typedef {DependentRecord | DependentGroup} DependentEntry */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Map<DependentEntry, number>} dependents The number of pending
+ * entries depending on each entry
+ * @property {Map<DependentEntry, Set<DependentEntry>>} dependencies The
+ * entries each entry depends on
+ */
+
+/**
+ * Stacks to which a record with dependencies was added, which cannot be
+ * disposed of in plain reverse order
+ *
+ * @type {WeakSet<ReadonlyArray<DependentEntry>>}
+ */
+const dependentStacks = new WeakSet();
+
+/**
+ * @param {DependentEntry} entry
+ * @returns {DependentRecord[]}
+ */
+const getRecords = (entry) =>
+  "records" in entry ? entry.records : [/** @type {DependentRecord} */ (entry)];
+
+/**
+ * Validates the `dependsOn` option of `using`, returning undefined if unset
+ *
+ * @param {unknown} dependsOn
+ * @returns {unknown[] | undefined}
+ */
+export const getDependencies = (dependsOn) => {
+  if (dependsOn === undefined) return undefined;
+  if (!Array.isArray(dependsOn)) {
+    throw new TypeError("dependsOn must be an array");
+  }
+  return [...dependsOn];
+};
+
+/**
+ * Marks the stack as holding a record with dependencies, for its disposal to
+ * follow them
+ *
+ * @param {ReadonlyArray<DependentEntry>} stack
+ */
+export const trackDependencies = (stack) => {
+  dependentStacks.add(stack);
+};
+
+/**
+ * Builds the graph of the dependencies between the entries of the stack.
+ * Dependencies within a group are ignored.
+ *
+ * @param {ReadonlyArray<DependentEntry>} stack
+ * @returns {DependencyGraph}
+ */
+const createGraph = (stack) => {
+  /** @type {Map<unknown, DependentEntry[]>} */
+  const entriesByResource = new Map();
+  for (const entry of stack) {
+    for (const { resourceValue } of getRecords(entry)) {
+      const entries = entriesByResource.get(resourceValue);
+      if (entries) {
+        entries.push(entry);
+      } else {
+        entriesByResource.set(resourceValue, [entry]);
+      }
+    }
+  }
+
+  /** @type {DependencyGraph} */
+  const graph = { dependents: new Map(), dependencies: new Map() };
+  for (const entry of stack) {
+    /** @type {Set<DependentEntry>} */
+    const dependencies = new Set();
+    for (const { dependsOn } of getRecords(entry)) {
+      if (!dependsOn) continue;
+      for (const resource of dependsOn) {
+        for (const dependency of entriesByResource.get(resource) || []) {
+          if (dependency !== entry) dependencies.add(dependency);
+        }
+      }
+    }
+    if (!dependencies.size) continue;
+    graph.dependencies.set(entry, dependencies);
+    for (const dependency of dependencies) {
+      graph.dependents.set(
+        dependency,
+        (graph.dependents.get(dependency) || 0) + 1
+      );
+    }
+  }
+  return graph;
+};
+
+/**
+ * Creates a function removing from the stack the next entry to dispose of,
+ * and returning it along with the index it had
+ *
+ * The next entry is the topmost one which is not a dependency of another
+ * entry still in the stack. If every entry is, because of a cycle, the top
+ * entry is taken. Unless the stack holds a record with dependencies, this is
+ * always the top entry. The graph of the dependencies is built on first use,
+ * and only built anew if entries were added or removed by other means.
+ *
+ * @template {DependentEntry} T
+ * @param {T[]} stack
+ * @param {boolean} [withDependencies] Whether to follow the dependencies even
+ * if the stack is not marked, e.g. for a copy
+ * @returns {() => {entry: T, index: number}}
+ */
+export const createEntryTaker = (stack, withDependencies = false) => {
+  /** @type {DependencyGraph | undefined} */
+  let graph;
+  let expectedLength = 0;
+
+  return () => {
+    let index = stack.length - 1;
+    if (withDependencies || dependentStacks.has(stack)) {
+      if (!graph || stack.length !== expectedLength) {
+        graph = createGraph(stack);
+      }
+      const { dependents, dependencies } = graph;
+      while (index >= 0 && dependents.get(/** @type {T} */ (stack[index]))) {
+        index--;
+      }
+      if (index < 0) index = stack.length - 1;
+
+      const entry = /** @type {T} */ (stack[index]);
+      for (const dependency of dependencies.get(entry) || []) {
+        dependents.set(dependency, (dependents.get(dependency) || 0) - 1);
+      }
+      dependencies.delete(entry);
+      expectedLength = stack.length - 1;
+    }
+    const [entry] = /** @type {[T]} */ (stack.splice(index, 1));
+    return { entry, index };
+  };
+};
+
+/**
+ * Returns the entries of the stack in the order in which they will be
+ * disposed of
+ *
+ * @template {DependentEntry} T
+ * @param {ReadonlyArray<T>} stack
+ * @returns {T[]}
+ */
+export const inDisposalOrder = (stack) => {
+  const pending = [...stack];
+  const takeNext = createEntryTaker(pending, dependentStacks.has(stack));
+  /** @type {T[]} */
+  const ordered = [];
+  while (pending.length) {
+    ordered.push(takeNext().entry);
+  }
+  return ordered;
+};
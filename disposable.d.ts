@@ -1,3 +1,10 @@
+import type {
+  EventListenerTarget,
+  EventListenerHandler,
+} from "./event-listener.js";
+import type { ResourceHandle } from "./generator-resource.js";
+import type { AsyncDisposable } from "./async-disposable.js";
+import type { DisposalError } from "./errors.js";
 import { symbolDispose } from "./symbols.js";
 
 export interface Disposable {
@@ -20,6 +27,62 @@ declare namespace Disposable {
      * The helper can be detached
      */
     readonly using: Using;
+
+    /**
+     * A signal aborted as the first step of the disposal of the aggregate,
+     * with the error causing the failure of the scope as reason if known.
+     * The signal is created on first access
+     */
+    readonly signal: AbortSignal;
+
+    /**
+     * The number of resources currently tracked by the aggregate
+     */
+    readonly size: number;
+
+    /**
+     * Whether the disposal of the aggregate has started
+     */
+    readonly disposed: boolean;
+
+    /**
+     * The lifecycle state of the aggregate: `pending` until its disposal
+     * starts, `disposing` while its resources are disposed of, then
+     * `disposed`. Resources added while `disposing` are disposed of in the
+     * same pass, and adding resources once `disposed` throws a
+     * `ReferenceError`
+     */
+    readonly state: State;
+
+    /**
+     * A promise fulfilled once the disposal of the aggregate has completed,
+     * whether or not it threw. The promise is created on first access
+     */
+    readonly whenDisposed: Promise<void>;
+
+    /**
+     * Returns an iterator over a snapshot of the tracked resources, in the
+     * order in which they will be disposed of
+     */
+    resources(): IterableIterator<ResourceInfo>;
+
+    /**
+     * Creates a child aggregate tracked by this aggregate, to scope resources
+     * which may be released before the parent. The child is disposed of in
+     * order when the parent is disposed of, with the completion of the
+     * parent. If disposed of earlier, the child removes itself from the
+     * parent. Throws a `ReferenceError` once the aggregate is disposed
+     *
+     * @returns The child aggregate
+     */
+    fork(): Aggregate;
+
+    /**
+     * Returns a promise settled once the async disposals tracked since
+     * `using.trackAsync()` was called have settled, and rejected with their
+     * errors if any. Should be awaited after the disposal of the aggregate
+     */
+    settled(): Promise<void>;
   }
 
   export interface Constructor {
@@ -53,8 +116,12 @@ declare namespace Disposable {
      *
      * @param disposables An iterable containing disposable resources over
      * which to iterate then dispose
+     * @param options Options for the iteration
      */
-    usingFrom<T extends Resource>(disposables: Iterable<T>): Iterable<T>;
+    usingFrom<T extends Resource>(
+      disposables: Iterable<T>,
+      options?: UsingFromOptions
+    ): Iterable<T>;
 
     /**
      * Wraps an iterable to ensure that iterated resources are disposed of
@@ -62,17 +129,51 @@ declare namespace Disposable {
      * @param values An iterable containing values over which to iterate
      * @param mapFn A function returning a disposable resource from the
      * iterated value
+     * @param options Options for the iteration
      */
     usingFrom<T>(
       values: Iterable<T>,
-      mapFn: (value: T) => Resource<T>
+      mapFn: (value: T) => Resource<T>,
+      options?: UsingFromOptions
     ): Iterable<T>;
 
+    /**
+     * Creates a factory of disposable resources from a generator function.
+     * The generator acquires the resource and yields it, then releases it once
+     * resumed by the disposal of the resource. If the scope of the aggregate
+     * disposing of the resource failed, the error is thrown into the
+     * generator at the `yield`, or the generator is closed if the error is
+     * unknown. The error is only known to `scoped()` functions: a `for-of`
+     * block closes the generator whether it threw or exited early
+     *
+     * @param fn The generator function, invoked with the arguments and the
+     * `this` of the factory call
+     * @returns The resource factory
+     */
+    resource<This, Args extends any[], T>(
+      fn: (this: This, ...args: Args) => Generator<T, unknown, undefined>
+    ): (this: This, ...args: Args) => ResourceHandle<T>;
+
+    /**
+     * Wraps a function so that each call runs with a new aggregate as current
+     * scope, passing its `using` helper as first argument. The aggregate is
+     * disposed of when the call returns or throws, when the returned promise
+     * settles, or when the returned generator completes or is closed
+     *
+     * @param fn The function to wrap, invoked with the `this` of the call
+     * @returns The wrapped function
+     */
+    scoped<This, Args extends any[], R>(
+      fn: (this: This, using: Using, ...args: Args) => R
+    ): (this: This, ...args: Args) => R;
+
     /**
      * Returns an iterator which yields a new aggregate instance. Its `using`
      * helper can be used to track disposable resources which will be disposed
      * of when the iterator is closed. Use with a `for-of` statement to perform
-     * RAII style explicit resource management
+     * RAII style explicit resource management. Only a block running to
+     * completion is a success: exiting it with `break` or `return` fails the
+     * scope like a thrown error
      */
     [Symbol.iterator](): UsingIterator;
   }
@@ -82,9 +183,10 @@ declare namespace Disposable {
      * Add a disposable resource for tracking
      *
      * @param disposable The disposable resource to track
+     * @param options Options for the tracking of the resource, or its label
      * @returns The disposable resource
      */
-    <T extends Resource>(disposable: T): T;
+    <T extends Resource>(disposable: T, options?: UsingOptions | string): T;
 
     /**
      * Add a disposable resource for tracking
@@ -92,9 +194,255 @@ declare namespace Disposable {
      * @param value A value to consider as a resource to dispose
      * @param onDispose The dispose callback invoked with the value
      * as `this` context
+     * @param options Options for the tracking of the resource, or its label
      * @returns The value
      */
-    <T>(value: T, onDispose: OnDispose<T>): T;
+    <T>(value: T, onDispose: OnDispose<T>, options?: UsingOptions | string): T;
+
+    /**
+     * Add an async disposable resource for tracking, once the aggregate
+     * forwards or tracks async disposals. Its async disposal is started when
+     * the aggregate is disposed of, and handed over to the parent aggregate
+     * or tracked promises
+     *
+     * @param disposable The async disposable resource to track
+     * @param options Options for the tracking of the resource, or its label
+     * @returns The async disposable resource
+     */
+    <T extends AsyncDisposable>(
+      disposable: T,
+      options?: UsingOptions | string
+    ): T;
+
+    /**
+     * Add a callback invoked on disposal only if the scope completed
+     * successfully
+     *
+     * When disposed of by the iterator helper, the scope is successful if the
+     * block ran to completion. Exiting the block early through `break`,
+     * `return` or a thrown error is a failure. Use `Disposable.scoped()` when
+     * returning early should count as a success: a scoped function fails
+     * only if it throws.
+     *
+     * @param onSuccess The callback to invoke
+     */
+    onSuccess(onSuccess: () => void): void;
+
+    /**
+     * Add a callback invoked on disposal only if the scope failed, or if a
+     * resource disposed of before the callback threw
+     *
+     * @param onFailure The callback to invoke with the error causing the
+     * failure, or `undefined` if unknown
+     */
+    onFailure(onFailure: (error: unknown) => void): void;
+
+    /**
+     * Ties the disposal of the aggregate to an external signal: the aggregate
+     * is disposed of as a failure when the signal is aborted, with the abort
+     * reason as error. Errors thrown during this disposal are thrown by the
+     * next disposal of the aggregate, such as when exiting the block
+     *
+     * @param signal The signal which aborts the scope
+     */
+    disposeOnAbort(signal: AbortSignal): void;
+
+    /**
+     * Subscribes the handler to events of the given type emitted by a DOM or
+     * WHATWG `EventTarget`, or a Node `EventEmitter`, and unsubscribes it with
+     * the matching arguments when the aggregate is disposed of
+     *
+     * @param target The event target or event emitter
+     * @param type The type of events
+     * @param handler The event handler
+     * @param options The options of the subscription, also used when
+     * unsubscribing. For an event emitter, only `once` is supported
+     */
+    listen(
+      target: EventListenerTarget,
+      type: string | symbol,
+      handler: EventListenerHandler,
+      options?: boolean | AddEventListenerOptions
+    ): void;
+
+    /**
+     * Schedules the callback with `setTimeout`, and clears the timer when the
+     * aggregate is disposed of. The timer is no longer tracked once the
+     * callback is invoked
+     *
+     * @param callback The callback to invoke once the time elapsed
+     * @param ms The time to wait, in milliseconds
+     * @param args Arguments passed to the callback
+     * @returns The handle of the timer
+     */
+    timeout<TArgs extends any[]>(
+      callback: (...args: TArgs) => void,
+      ms?: number,
+      ...args: TArgs
+    ): ReturnType<typeof setTimeout>;
+
+    /**
+     * Schedules the callback with `setInterval`, and clears the timer when the
+     * aggregate is disposed of
+     *
+     * @param callback The callback to invoke repeatedly
+     * @param ms The time between invocations, in milliseconds
+     * @param args Arguments passed to the callback
+     * @returns The handle of the timer
+     */
+    interval<TArgs extends any[]>(
+      callback: (...args: TArgs) => void,
+      ms?: number,
+      ...args: TArgs
+    ): ReturnType<typeof setInterval>;
+
+    /**
+     * Schedules the callback with `setImmediate`, or `setTimeout` on hosts
+     * without it, and clears the timer when the aggregate is disposed of. The
+     * timer is no longer tracked once the callback is invoked
+     *
+     * @param callback The callback to invoke
+     * @param args Arguments passed to the callback
+     * @returns The handle of the timer
+     */
+    immediate<TArgs extends any[]>(
+      callback: (...args: TArgs) => void,
+      ...args: TArgs
+    ): unknown;
+
+    /**
+     * Returns a promise fulfilled after the given time, or rejected with the
+     * reason of the aggregate's `signal` when the aggregate is disposed of
+     * first
+     *
+     * @param ms The time to wait, in milliseconds
+     */
+    delay(ms?: number): Promise<void>;
+
+    /**
+     * Forwards the async disposals of the aggregate to a parent async
+     * aggregate: when a dispose method returns a promise, the parent awaits
+     * it on its own disposal, and throws its rejection. Async disposable
+     * resources are then also accepted. Throws a `ReferenceError` if the
+     * aggregate or the parent is already disposed
+     *
+     * @param parent The async aggregate awaiting the async disposals
+     */
+    forwardAsync(parent: AsyncDisposable.Aggregate): void;
+
+    /**
+     * Tracks the async disposals of the aggregate: when a dispose method
+     * returns a promise, the promise is kept until awaited with `settled()`,
+     * which throws its rejection. Async disposable resources are then also
+     * accepted. Throws a `ReferenceError` if the aggregate is already disposed
+     */
+    trackAsync(): void;
+
+    /**
+     * Sets how the errors thrown while disposing of the aggregate are
+     * surfaced. Each error is wrapped in a `DisposalError` attributing it to
+     * its resource, and handed to the `onError` callback if provided
+     *
+     * @param errorPolicy The error policy
+     * @param onError The callback invoked with each error
+     */
+    errorPolicy(
+      errorPolicy: "aggregate" | "first",
+      onError?: (error: DisposalError) => void
+    ): void;
+
+    /**
+     * Sets how the errors thrown while disposing of the aggregate are
+     * surfaced. Each error is wrapped in a `DisposalError` attributing it to
+     * its resource, and handed to the `onError` callback instead of being
+     * thrown
+     *
+     * @param errorPolicy The error policy
+     * @param onError The callback invoked with each error
+     */
+    errorPolicy(
+      errorPolicy: "report",
+      onError: (error: DisposalError) => void
+    ): void;
+  }
+
+  export interface UsingOptions {
+    /**
+     * A label describing the resource, used by introspection and error
+     * messages
+     */
+    label?: string;
+
+    /**
+     * Resources of the aggregate which this resource depends on, and which
+     * are therefore disposed of after it, even if they were added after it.
+     * Dependencies forming a cycle are disposed of in reverse order.
+     */
+    dependsOn?: unknown[];
+  }
+
+  /**
+   * How the resources iterated by `usingFrom` are disposed of:
+   * - `each`: each resource is disposed of before moving to the next one
+   * - `retain`: the resources are kept until the iteration ends, then
+   * disposed of in reverse order
+   * - `drain`: like `each`, but when the iteration is exited early, the
+   * remaining values of the source are pulled and their resources disposed of
+   */
+  export type UsingFromMode = "each" | "retain" | "drain";
+
+  /**
+   * The lifecycle state of an aggregate
+   */
+  export type State = "pending" | "disposing" | "disposed";
+
+  export interface UsingFromOptions extends ErrorPolicyOptions {
+    /**
+     * How the iterated resources are disposed of. Defaults to `each`
+     */
+    mode?: UsingFromMode;
+  }
+
+  /**
+   * How the errors thrown while disposing of resources are surfaced:
+   * - `aggregate`: all errors are thrown, each suppressing the errors thrown
+   * before it in a `SuppressedError`
+   * - `first`: only the first error is thrown
+   * - `report`: the errors are handed to the `onError` callback, and not
+   * thrown
+   */
+  export type ErrorPolicy = "aggregate" | "first" | "report";
+
+  export interface ErrorPolicyOptions {
+    /**
+     * How the errors thrown while disposing of resources are surfaced. When
+     * set, each error is wrapped in a `DisposalError` attributing it to its
+     * resource. Defaults to `aggregate` if `onError` is set
+     */
+    errorPolicy?: ErrorPolicy;
+
+    /**
+     * A callback invoked with each `DisposalError`. Required by the `report`
+     * policy
+     */
+    onError?: (error: DisposalError) => void;
+  }
+
+  export interface ResourceInfo {
+    /**
+     * The label of the resource, if any
+     */
+    label: string | undefined;
+
+    /**
+     * Whether the resource is disposed of synchronously
+     */
+    hint: "sync";
+
+    /**
+     * The resource, or the value passed with a dispose callback
+     */
+    resource: unknown;
   }
 
   export type OnDispose<T = void> = (this: T) => void;
@@ -105,3 +453,67 @@ declare namespace Disposable {
 }
 
 export declare const Disposable: Disposable.Constructor;
+
+/**
+ * A stack of disposable resources, following the shape of the
+ * `DisposableStack` class of the Explicit Resource Management proposal
+ */
+export interface DisposableStack extends Disposable {
+  /**
+   * Whether the stack has been disposed of or its resources moved
+   */
+  readonly disposed: boolean;
+
+  /**
+   * Disposes of the resources in the stack in reverse order to which they
+   * were added
+   */
+  dispose(): void;
+
+  /**
+   * Adds a disposable resource to the top of the stack
+   *
+   * @param value The disposable resource to track, or `null` or `undefined`
+   * @returns The resource
+   */
+  use<T extends Disposable | null | undefined>(value: T): T;
+
+  /**
+   * Adds a value and its dispose callback to the top of the stack
+   *
+   * @param value A value to consider as a resource to dispose
+   * @param onDispose The dispose callback invoked with the value as argument
+   * @returns The value
+   */
+  adopt<T>(value: T, onDispose: (value: T) => void): T;
+
+  /**
+   * Adds a dispose callback to the top of the stack
+   *
+   * @param onDispose The dispose callback
+   */
+  defer(onDispose: () => void): void;
+
+  /**
+   * Moves all resources of this stack into a new stack, leaving this stack
+   * disposed of without disposing of the resources
+   *
+   * @returns The new stack owning the resources
+   */
+  move(): DisposableStack;
+
+  readonly [Symbol.toStringTag]: string;
+}
+
+declare namespace DisposableStack {
+  export interface Constructor {
+    /**
+     * Creates an empty disposable stack
+     */
+    new (): DisposableStack;
+
+    readonly prototype: DisposableStack;
+  }
+}
+
+export declare const DisposableStack: DisposableStack.Constructor;
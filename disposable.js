@@ -1,24 +1,106 @@
 import { createIterator } from "./iterator-prototypes.js";
-import { symbolDispose } from "./symbols.js";
+import { SuppressedError } from "./errors.js";
+import {
+  createEntryTaker,
+  getDependencies,
+  inDisposalOrder,
+  trackDependencies,
+} from "./dependencies.js";
+import {
+  assertValidErrorPolicy,
+  createErrorCollector,
+  getErrorPolicy,
+} from "./error-policy.js";
+import { enterScope, runInScope, scopeGenerator } from "./ambient-scope.js";
+import { addListener } from "./event-listener.js";
+import {
+  createResourceFactory,
+  expectsCompletion,
+} from "./generator-resource.js";
+import { inspectAggregate, inspectSymbol } from "./inspect.js";
+import {
+  traceDisposal,
+  traceRecord,
+  traceResourceAdded,
+} from "./instrumentation.js";
+import {
+  callOnBehalf,
+  recordUsing,
+  trackAggregate,
+  untrackAggregate,
+} from "./leak-detection.js";
+import { reportError } from "./report-error.js";
+import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+import {
+  delay,
+  scheduleImmediate,
+  scheduleInterval,
+  scheduleTimeout,
+} from "./timers.js";
 
 /** @typedef {import("./disposable.js").Disposable.Constructor} DisposableConstructor */
 /** @typedef {import("./disposable.js").Disposable} IDisposable */
 /** @typedef {import("./disposable.js").Disposable.Resource} DisposableResource */
 
 /** @typedef {import("./disposable.js").Disposable.OnDispose<any>} DisposeMethod */
+/** @typedef {import("./disposable.js").Disposable.UsingOptions} UsingOptions */
+/** @typedef {import("./disposable.js").Disposable.ResourceInfo} ResourceInfo */
+/** @typedef {import("./disposable.js").Disposable.UsingFromOptions} UsingFromOptions */
+/** @typedef {import("./disposable.js").Disposable.UsingFromMode} UsingFromMode */
+/** @typedef {import("./disposable.js").Disposable.ErrorPolicy} ErrorPolicy */
+/** @typedef {import("./disposable.js").Disposable.State} State */
+/** @typedef {import("./disposable.js").Disposable.ErrorPolicyOptions} ErrorPolicyOptions */
 /** @typedef {(value: any) => DisposableResource} MapFn */
 /** @typedef {import("./disposable.js").Disposable.Aggregate} DisposableAggregate */
+/** @typedef {import("./async-disposable.js").AsyncDisposable.Aggregate} AsyncDisposableAggregate */
+/** @typedef {import("./disposable.js").DisposableStack.Constructor} DisposableStackConstructor */
+
+/**
+ * @typedef {Object} Completion
+ * @property {boolean} failed Whether the scope was exited abruptly
+ * @property {unknown} [error] The error causing the failure, if known
+ */
 
 /**
  * @typedef {Object} DisposableResourceRecord
  * @property {unknown} resourceValue
  * @property {'sync'} hint
- * @property {DisposeMethod} disposeMethod
+ * @property {(this: unknown, completion?: Completion) => void} disposeMethod
+ * @property {boolean} [withCompletion] Whether the dispose method expects the
+ * completion of the scope
+ * @property {string} [label] A label describing the resource
+ * @property {unknown[]} [dependsOn] Resources disposed of after this one
  */
 
 /** @type {MapFn} */
 const defaultMapFn = (value) => value;
 
+/**
+ * @param {unknown} value
+ * @returns {value is PromiseLike<unknown>}
+ */
+const isThenable = (value) =>
+  !!value && typeof (/** @type {any} */ (value).then) === "function";
+
+/**
+ * Whether the value is an async disposable object without a sync dispose
+ * method
+ *
+ * @param {any} value
+ */
+const isAsyncOnly = (value) =>
+  value !== null &&
+  (typeof value === "object" || typeof value === "function") &&
+  typeof value[symbolAsyncDispose] === "function" &&
+  typeof value[symbolDispose] !== "function";
+
+/** @param {unknown} mode */
+const assertValidMode = (mode) => {
+  if (mode !== "each" && mode !== "retain" && mode !== "drain") {
+    throw new RangeError('mode must be "each", "retain" or "drain"');
+  }
+};
+
 /** @type {(value: any, resource: any) => DisposableResourceRecord | undefined } */
 const getRecordFromValue = (value, resource) => {
   const syncDispose = value[symbolDispose];
@@ -27,6 +109,7 @@ const getRecordFromValue = (value, resource) => {
       resourceValue: value,
       hint: "sync",
       disposeMethod: syncDispose,
+      withCompletion: expectsCompletion(syncDispose),
     };
   } else if (typeof value === "function") {
     return {
@@ -44,6 +127,7 @@ const getRecordFromValue = (value, resource) => {
  * @param {unknown} resource
  * @param {Array<DisposableResourceRecord>} stack
  * @param {(err: unknown) => void} [onError]
+ * @returns {DisposableResourceRecord | undefined} The added record
  */
 const addDisposable = (disposable, resource, stack, onError) => {
   try {
@@ -53,6 +137,7 @@ const addDisposable = (disposable, resource, stack, onError) => {
     } else {
       stack.push(record);
     }
+    return record;
   } catch (error) {
     if (onError) {
       onError(error);
@@ -60,14 +145,104 @@ const addDisposable = (disposable, resource, stack, onError) => {
       throw error;
     }
   }
-  return disposable;
+  return undefined;
+};
+
+/**
+ * @param {(error?: unknown) => void} callback
+ * @param {boolean} onFailure Whether the callback should be invoked when the
+ * scope failed instead of when it succeeded
+ * @param {Array<DisposableResourceRecord>} stack
+ */
+const addCompletionCallback = (callback, onFailure, stack) => {
+  if (typeof callback !== "function") {
+    throw new TypeError("callback is not a function");
+  }
+  stack.push({
+    resourceValue: undefined,
+    hint: "sync",
+    disposeMethod: (completion) => {
+      if (!completion || !completion.failed) {
+        if (!onFailure) callback();
+      } else if (onFailure) {
+        callback(completion.error);
+      }
+    },
+    withCompletion: true,
+    label: onFailure ? "onFailure callback" : "onSuccess callback",
+  });
+};
+
+/**
+ * Disposes of the records in the stack in reverse order, emptying it
+ *
+ * A record is disposed of before the records of the resources it depends on,
+ * even if they were added after it.
+ *
+ * Records expecting the completion of the scope receive the initial completion
+ * updated with any error thrown by the records disposed of before them.
+ *
+ * @param {Array<DisposableResourceRecord>} stack
+ * @param {Completion} [completion]
+ * @param {object} [source] The aggregate for which to publish the disposal of
+ * each record
+ * @param {(result: PromiseLike<unknown>) => void} [onPending] Invoked with
+ * the promises returned by dispose methods, which are otherwise dropped
+ * @param {ErrorPolicyOptions} [errorPolicy] How the errors are surfaced
+ */
+const disposeResources = (
+  stack,
+  completion = { failed: false },
+  source = undefined,
+  onPending = undefined,
+  errorPolicy = undefined
+) => {
+  let { failed, error: cause } = completion;
+  const errors = createErrorCollector(errorPolicy);
+  const takeNext = createEntryTaker(stack);
+
+  while (stack.length) {
+    const { entry: record, index } = takeNext();
+    const { resourceValue, hint, disposeMethod, withCompletion } = record;
+
+    try {
+      const args = withCompletion ? [{ failed, error: cause }] : [];
+      switch (hint) {
+        case "sync":
+          traceRecord(source, record, () => {
+            const result = /** @type {unknown} */ (
+              disposeMethod.apply(resourceValue, args)
+            );
+            if (onPending && isThenable(result)) {
+              onPending(result);
+            }
+          });
+          break;
+        default:
+          throw new TypeError("Invalid disposable record");
+      }
+    } catch (err) {
+      errors.add(err, record, index);
+      cause = cause === undefined ? err : new SuppressedError(err, cause);
+      failed = true;
+    }
+  }
+
+  errors.throwIfAny();
 };
 
 /**
  * @param {Iterator<unknown>} iter
  * @param {MapFn} getDisposable
+ * @param {UsingFromMode} [mode]
+ * @param {ErrorPolicyOptions} [errorPolicy]
  */
-const wrapIterator = (iter, getDisposable) => {
+const wrapIterator = (
+  iter,
+  getDisposable,
+  mode = "each",
+  errorPolicy = undefined
+) => {
   const hasReturn = typeof iter.return === "function";
   const hasThrow = typeof iter.throw === "function";
 
@@ -75,11 +250,77 @@ const wrapIterator = (iter, getDisposable) => {
 
   /** @type {DisposableResourceRecord | undefined} */
   let pendingRecord;
+
+  /**
+   * Records of the resources kept until the iteration ends, in `retain` mode
+   * @type {DisposableResourceRecord[]}
+   */
+  const retained = [];
+
   const dispose = () => {
-    if (!pendingRecord) return;
-    const { disposeMethod, resourceValue } = pendingRecord;
-    pendingRecord = undefined;
-    return disposeMethod.call(resourceValue);
+    const stack = retained.splice(0);
+    if (pendingRecord) {
+      stack.push(pendingRecord);
+      pendingRecord = undefined;
+    }
+    disposeResources(stack, undefined, wrapped, undefined, errorPolicy);
+  };
+
+  // Releases the current resource before moving to the next one
+  const release = () => {
+    if (mode === "retain") {
+      if (pendingRecord) retained.push(pendingRecord);
+      pendingRecord = undefined;
+    } else {
+      dispose();
+    }
+  };
+
+  /**
+   * Pulls the remaining values of the source iterator, disposing of their
+   * resources as they are acquired
+   */
+  const drain = () => {
+    let hasError = false;
+    /** @type {unknown} */
+    let error;
+    /** @param {unknown} err */
+    const onError = (err) => {
+      error = hasError ? new SuppressedError(err, error) : err;
+      hasError = true;
+    };
+
+    try {
+      dispose();
+    } catch (err) {
+      onError(err);
+    }
+    for (;;) {
+      let nextResult;
+      try {
+        nextResult = iter.next();
+      } catch (err) {
+        onError(err);
+        break;
+      }
+      if (nextResult.done) break;
+      try {
+        /** @type {DisposableResourceRecord[]} */
+        const stack = [];
+        const { value } = nextResult;
+        traceResourceAdded(
+          wrapped,
+          addDisposable(getDisposable(value), value, stack)
+        );
+        disposeResources(stack, undefined, wrapped, undefined, errorPolicy);
+      } catch (err) {
+        onError(err);
+      }
+    }
+
+    if (hasError) {
+      throw error;
+    }
   };
 
   /**
@@ -95,11 +336,15 @@ const wrapIterator = (iter, getDisposable) => {
       try {
         dispose();
       } catch (disposeError) {
-        throw new AggregateError([err, disposeError]);
+        throw new SuppressedError(disposeError, err);
       } finally {
-        if (closeIter && hasReturn) {
-          // @ts-ignore
-          iter.return();
+        if (closeIter) {
+          if (mode === "drain") {
+            drain();
+          } else if (hasReturn) {
+            // @ts-ignore
+            iter.return();
+          }
         }
       }
       throw err;
@@ -110,7 +355,7 @@ const wrapIterator = (iter, getDisposable) => {
   const wrapped = createIterator({
     /** @param {[] | [any]} args */
     next: (...args) => {
-      tryOrClose(dispose, true);
+      tryOrClose(release, true);
       const nextResult = closed
         ? { value: undefined, done: true }
         : tryOrClose(() => iter.next(...args));
@@ -119,10 +364,16 @@ const wrapIterator = (iter, getDisposable) => {
           /** @type {DisposableResourceRecord[]} */
           const stack = [];
           const { value } = nextResult;
-          addDisposable(getDisposable(value), value, stack);
-          // Call dispose in case of some re-entrancy
-          dispose();
+          traceResourceAdded(
+            wrapped,
+            addDisposable(getDisposable(value), value, stack)
+          );
+          // Call release in case of some re-entrancy
+          release();
           pendingRecord = stack[0];
+        } else {
+          // Retained resources are disposed of once the source completes
+          dispose();
         }
       }, true);
       return nextResult;
@@ -130,6 +381,10 @@ const wrapIterator = (iter, getDisposable) => {
     /** @param {[] | [any]} args */
     return: (...args) => {
       closed = true;
+      if (mode === "drain") {
+        drain();
+        return { value: args[0], done: true };
+      }
       dispose();
       if (hasReturn) {
         // @ts-ignore
@@ -141,6 +396,14 @@ const wrapIterator = (iter, getDisposable) => {
     /** @param {[] | [any]} args */
     throw: (...args) => {
       closed = true;
+      if (mode === "drain") {
+        try {
+          drain();
+        } catch (drainError) {
+          throw new SuppressedError(drainError, args[0]);
+        }
+        throw args[0];
+      }
       dispose();
       if (hasThrow) {
         // @ts-ignore
@@ -168,15 +431,159 @@ export const Disposable = /** @type {DisposableConstructor} */ (
     /** @type {Array<DisposableResourceRecord>} */
     #resourceStack = [];
 
-    /** @type {'pending'|'disposed'} */
+    /** @type {State} */
     #state = "pending";
 
+    /** @type {Promise<void> | undefined} */
+    #whenDisposed = undefined;
+
+    /** @type {(() => void) | undefined} */
+    #resolveWhenDisposed = undefined;
+
+    /** @type {AbortController | undefined} */
+    #abortController = undefined;
+
+    /** @type {{error: unknown} | undefined} */
+    #disposalError = undefined;
+
+    #leakInfo = trackAggregate(this, "Disposable");
+
+    /**
+     * Removes the aggregate from the stack of its parent, if forked
+     * @type {(() => void) | undefined}
+     */
+    #detach = undefined;
+
+    /** @type {AsyncDisposableAggregate | undefined} */
+    #asyncParent = undefined;
+
+    /**
+     * The promises of async disposals, once tracking is enabled
+     * @type {Array<Promise<unknown>> | undefined}
+     */
+    #pendingAsync = undefined;
+
+    /** @type {ErrorPolicyOptions | undefined} */
+    #errorPolicy = undefined;
+
     /**
      * @param {DisposableResource[]} args
      */
     constructor(...args) {
+      const stack = this.#resourceStack;
+      const using = Object.assign(this.using.bind(this), {
+        /** @param {() => void} onSuccess */
+        onSuccess: (onSuccess) => {
+          this.#assertNotDisposed();
+          addCompletionCallback(onSuccess, false, stack);
+        },
+        /** @param {(error: unknown) => void} onFailure */
+        onFailure: (onFailure) => {
+          this.#assertNotDisposed();
+          addCompletionCallback(onFailure, true, stack);
+        },
+        /** @param {AbortSignal} signal */
+        disposeOnAbort: (signal) => {
+          this.#assertNotDisposed();
+          callOnBehalf(using.disposeOnAbort, () =>
+            this.#disposeOnAbort(signal)
+          );
+        },
+        /**
+         * @param {import("./event-listener.js").EventListenerTarget} target
+         * @param {string | symbol} type
+         * @param {import("./event-listener.js").EventListenerHandler} handler
+         * @param {boolean | AddEventListenerOptions} [options]
+         */
+        listen: (target, type, handler, options) => {
+          this.#assertNotDisposed();
+          callOnBehalf(using.listen, () =>
+            this.using(addListener(target, type, handler, options), {
+              label: `${String(type)} listener`,
+            })
+          );
+        },
+        /**
+         * @param {import("./timers.js").TimerCallback} callback
+         * @param {number} [ms]
+         * @param {any[]} args
+         */
+        timeout: (callback, ms, ...args) => {
+          this.#assertNotDisposed();
+          const { handle, cancel } = scheduleTimeout(
+            (...callbackArgs) => {
+              // A fired timer no longer needs to be cleared
+              this.#untrack(cancel);
+              callback(...callbackArgs);
+            },
+            ms,
+            args
+          );
+          callOnBehalf(using.timeout, () =>
+            this.using(cancel, { label: "timeout" })
+          );
+          return handle;
+        },
+        /**
+         * @param {import("./timers.js").TimerCallback} callback
+         * @param {number} [ms]
+         * @param {any[]} args
+         */
+        interval: (callback, ms, ...args) => {
+          this.#assertNotDisposed();
+          const { handle, cancel } = scheduleInterval(callback, ms, args);
+          callOnBehalf(using.interval, () =>
+            this.using(cancel, { label: "interval" })
+          );
+          return handle;
+        },
+        /**
+         * @param {import("./timers.js").TimerCallback} callback
+         * @param {any[]} args
+         */
+        immediate: (callback, ...args) => {
+          this.#assertNotDisposed();
+          const { handle, cancel } = scheduleImmediate((...callbackArgs) => {
+            this.#untrack(cancel);
+            callback(...callbackArgs);
+          }, args);
+          callOnBehalf(using.immediate, () =>
+            this.using(cancel, { label: "immediate" })
+          );
+          return handle;
+        },
+        /** @param {number} [ms] */
+        delay: (ms) => delay(ms, this.signal),
+        /** @param {AsyncDisposableAggregate} parent */
+        forwardAsync: (parent) => {
+          this.#assertNotDisposed();
+          if (!parent || typeof parent.using !== "function") {
+            throw new TypeError("parent is not an async aggregate");
+          }
+          if (parent.state === "disposed") {
+            throw new ReferenceError("AsyncDisposable already disposed");
+          }
+          this.#asyncParent = parent;
+        },
+        trackAsync: () => {
+          this.#assertNotDisposed();
+          if (!this.#pendingAsync) this.#pendingAsync = [];
+        },
+        /**
+         * @param {ErrorPolicy} errorPolicy
+         * @param {(error: import("./errors.js").DisposalError) => void} [onError]
+         */
+        errorPolicy: (errorPolicy, onError) => {
+          this.#assertNotDisposed();
+          assertValidErrorPolicy(errorPolicy, onError);
+          this.#errorPolicy = onError
+            ? { errorPolicy, onError }
+            : { errorPolicy };
+        },
+      });
+
       Object.defineProperty(this, "using", {
-        value: this.using.bind(this),
+        value: using,
         configurable: true,
         writable: true,
         enumerable: true,
@@ -186,54 +593,301 @@ export const Disposable = /** @type {DisposableConstructor} */ (
     }
 
     [symbolDispose]() {
-      if (this.#state === "disposed") {
+      this.#dispose();
+    }
+
+    get signal() {
+      if (!this.#abortController) {
+        this.#abortController = new AbortController();
+        if (this.#state !== "pending") {
+          this.#abortController.abort();
+        }
+      }
+      return this.#abortController.signal;
+    }
+
+    /**
+     * @param {Completion} [completion]
+     */
+    #dispose(completion) {
+      this.#startDisposal(completion);
+
+      const disposalError = this.#disposalError;
+      if (disposalError) {
+        this.#disposalError = undefined;
+        throw disposalError.error;
+      }
+    }
+
+    /**
+     * Disposes of the resources, keeping any error to be thrown by the caller
+     * of `#dispose`
+     *
+     * @param {Completion} [completion]
+     */
+    #startDisposal(completion) {
+      if (this.#state !== "pending") {
         return;
       }
-      this.#state = "disposed";
+      this.#state = "disposing";
+      untrackAggregate(this, this.#leakInfo);
+      if (this.#detach) {
+        this.#detach();
+        this.#detach = undefined;
+      }
 
-      const errors = [];
-      const multipleResources = this.#resourceStack.length > 1;
+      if (this.#abortController) {
+        if (completion && completion.failed && completion.error !== undefined) {
+          this.#abortController.abort(completion.error);
+        } else {
+          this.#abortController.abort();
+        }
+      }
 
-      while (this.#resourceStack.length) {
-        const { resourceValue, hint, disposeMethod } =
-          /** @type {DisposableResourceRecord} */ (this.#resourceStack.pop());
+      const completed = traceDisposal(this, completion || { failed: false });
+      try {
+        disposeResources(
+          this.#resourceStack,
+          completion,
+          this,
+          this.#asyncParent || this.#pendingAsync
+            ? (result) => this.#bridgeAsync(result)
+            : undefined,
+          this.#errorPolicy
+        );
+      } catch (error) {
+        this.#disposalError = { error };
+      }
+      this.#completeDisposal();
+      if (completed) completed(this.#disposalError);
+    }
 
-        try {
-          switch (hint) {
-            case "sync":
-              disposeMethod.call(resourceValue);
-              break;
-            default:
-              throw new TypeError("Invalid disposable record");
+    /**
+     * Hands the promise of an async disposal over to the parent async
+     * aggregate, or to the tracked promises
+     *
+     * @param {PromiseLike<unknown>} result
+     */
+    #bridgeAsync(result) {
+      const promise = Promise.resolve(result);
+      const parent = this.#asyncParent;
+      // A parent still disposing awaits the promise in the same pass
+      const forwarded = !!parent && parent.state !== "disposed";
+      if (forwarded) {
+        // The parent awaits the promise and throws its rejection
+        /** @type {AsyncDisposableAggregate} */ (parent).using(() => promise, {
+          label: "forwarded async disposal",
+        });
+      }
+      if (this.#pendingAsync) {
+        this.#pendingAsync.push(promise);
+      } else if (!forwarded) {
+        promise.catch(reportError);
+        return;
+      }
+      // Rejections are surfaced by the parent or by `settled()`
+      promise.catch(() => {});
+    }
+
+    async settled() {
+      const pending = this.#pendingAsync;
+      if (!pending) return;
+
+      let hasError = false;
+      /** @type {unknown} */
+      let error;
+      // Disposals may still be started while waiting
+      while (pending.length) {
+        const results = await Promise.allSettled(pending.splice(0));
+        for (const result of results) {
+          if (result.status === "rejected") {
+            error = hasError
+              ? new SuppressedError(result.reason, error)
+              : result.reason;
+            hasError = true;
           }
-        } catch (err) {
-          errors.push(err);
         }
       }
 
-      if (errors.length) {
-        if (multipleResources) {
-          throw new AggregateError(errors);
-        } else {
-          throw errors.pop();
+      if (hasError) {
+        throw error;
+      }
+    }
+
+    /**
+     * @param {AbortSignal} signal
+     */
+    #disposeOnAbort(signal) {
+      // Errors are thrown by the next disposal, e.g. when exiting the block
+      const onAbort = () =>
+        this.#startDisposal({ failed: true, error: signal.reason });
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+      this.using(() => signal.removeEventListener("abort", onAbort), {
+        label: "abort listener",
+      });
+    }
+
+    get size() {
+      return this.#resourceStack.length;
+    }
+
+    get disposed() {
+      return this.#state !== "pending";
+    }
+
+    get state() {
+      return this.#state;
+    }
+
+    get whenDisposed() {
+      if (!this.#whenDisposed) {
+        this.#whenDisposed =
+          this.#state === "disposed"
+            ? Promise.resolve()
+            : new Promise((resolve) => {
+                this.#resolveWhenDisposed = resolve;
+              });
+      }
+      return this.#whenDisposed;
+    }
+
+    /**
+     * Marks the disposal as complete once the stack is drained
+     */
+    #completeDisposal() {
+      this.#state = "disposed";
+      if (this.#resolveWhenDisposed) {
+        this.#resolveWhenDisposed();
+        this.#resolveWhenDisposed = undefined;
+      }
+    }
+
+    /**
+     * Stops tracking the topmost record of the resource, which no longer needs
+     * to be disposed of
+     *
+     * @param {unknown} resourceValue
+     */
+    #untrack(resourceValue) {
+      const stack = this.#resourceStack;
+      for (let index = stack.length - 1; index >= 0; index--) {
+        const record = /** @type {DisposableResourceRecord} */ (stack[index]);
+        if (record.resourceValue === resourceValue) {
+          stack.splice(index, 1);
+          return;
         }
       }
     }
 
+    #assertNotDisposed() {
+      if (this.#state === "disposed") {
+        throw new ReferenceError("Disposable already disposed");
+      }
+    }
+
+    /** @returns {IterableIterator<ResourceInfo>} */
+    resources() {
+      return inDisposalOrder(this.#resourceStack)
+        .map(({ label, hint, resourceValue }) => ({
+          label,
+          hint,
+          resource: resourceValue,
+        }))
+        .values();
+    }
+
+    /**
+     * @param {number} depth
+     * @param {import("./inspect.js").InspectOptions} [options]
+     * @param {import("./inspect.js").Inspect} [inspect]
+     */
+    [inspectSymbol](depth, options, inspect) {
+      const details = {
+        state: this.state,
+        size: this.size,
+        resources: [...this.resources()],
+      };
+      return inspectAggregate("Disposable", details, depth, options, inspect);
+    }
+
     /**
      * @param {any} value
-     * @param {DisposeMethod} [onDispose]
+     * @param {DisposeMethod | UsingOptions | string} [onDispose]
+     * @param {UsingOptions | string} [options]
      */
-    using(value, onDispose) {
+    using(value, onDispose, options) {
+      this.#assertNotDisposed();
+      if (typeof onDispose !== "function") {
+        options = onDispose;
+        onDispose = undefined;
+      }
+      const { label, dependsOn } =
+        typeof options === "string" ? { label: options } : options || {};
+      const dependencies = getDependencies(dependsOn);
+
       const stack = this.#resourceStack;
 
-      typeof onDispose === "function"
-        ? addDisposable(onDispose, value, stack)
-        : addDisposable(value, value, stack);
+      /** @type {DisposableResourceRecord | undefined} */
+      let record;
+      if (typeof onDispose === "function") {
+        record = addDisposable(onDispose, value, stack);
+      } else if (
+        (this.#asyncParent || this.#pendingAsync) &&
+        isAsyncOnly(value)
+      ) {
+        // Async disposal is started synchronously, and handed over on disposal
+        record = addDisposable(value[symbolAsyncDispose], value, stack);
+      } else {
+        record = addDisposable(value, value, stack);
+      }
+      if (record && label !== undefined) {
+        record.label = String(label);
+      }
+      if (record && dependencies) {
+        record.dependsOn = dependencies;
+        if (dependencies.length) trackDependencies(this.#resourceStack);
+      }
+      traceResourceAdded(this, record);
+
+      recordUsing(this.#leakInfo, Disposable.prototype.using);
 
       return value;
     }
 
+    fork() {
+      this.#assertNotDisposed();
+
+      const child = callOnBehalf(
+        Disposable.prototype.fork,
+        () => new Disposable()
+      );
+      const stack = this.#resourceStack;
+      /** @type {DisposableResourceRecord} */
+      const record = {
+        resourceValue: child,
+        hint: "sync",
+        // The child completes like its parent
+        disposeMethod: (completion) => child.#dispose(completion),
+        withCompletion: true,
+        label: "forked scope",
+      };
+      stack.push(record);
+      traceResourceAdded(this, record);
+      recordUsing(this.#leakInfo, Disposable.prototype.fork);
+
+      child.#detach = () => {
+        const index = stack.lastIndexOf(record);
+        if (index !== -1) stack.splice(index, 1);
+      };
+
+      return child;
+    }
+
     /**
      * @param {Iterable<unknown>} disposables
      * @param {MapFn} [mapFn]
@@ -242,44 +896,36 @@ export const Disposable = /** @type {DisposableConstructor} */ (
       const res = this;
       const stack = res.#resourceStack;
 
-      const errors = [];
-      let iterationError;
+      let hasError = false;
+      /** @type {unknown} */
+      let error;
+      /** @param {unknown} err */
+      const onError = (err) => {
+        error = hasError ? new SuppressedError(err, error) : err;
+        hasError = true;
+      };
+
       try {
         const syncIterable = /** @type {Iterable<unknown>} */ (disposables);
         for (const disposable of syncIterable) {
-          addDisposable(mapFn(disposable), disposable, stack, (err) =>
-            errors.push(err)
+          traceResourceAdded(
+            res,
+            addDisposable(mapFn(disposable), disposable, stack, onError)
           );
         }
       } catch (err) {
-        iterationError = err;
+        onError(err);
+      }
+
+      if (stack.length) {
+        recordUsing(res.#leakInfo, res.constructor);
       }
 
-      if (iterationError || errors.length) {
-        const multipleResources = stack.length;
+      if (hasError) {
         try {
           res[symbolDispose]();
         } catch (err) {
-          const disposeErrors = multipleResources
-            ? /** @type {AggregateError} */ (err).errors
-            : [err];
-
-          errors.push(...disposeErrors);
-        }
-
-        let error;
-        if (!errors.length) {
-          error = iterationError;
-        } else {
-          error = new AggregateError(errors);
-          if (iterationError) {
-            Object.defineProperty(error, "cause", {
-              value: iterationError,
-              enumerable: false,
-              writable: true,
-              configurable: true,
-            });
-          }
+          onError(err);
         }
         throw error;
       }
@@ -290,18 +936,28 @@ export const Disposable = /** @type {DisposableConstructor} */ (
      * @param {MapFn} [mapFn]
      */
     static from(disposables, mapFn = undefined) {
-      const res = new (this || Disposable)();
-      res.#from(disposables, mapFn);
-
-      return res;
+      return callOnBehalf(Disposable.from, () => {
+        const res = new (this || Disposable)();
+        res.#from(disposables, mapFn);
+        return res;
+      });
     }
 
     /**
      *
      * @param {Iterable<unknown>} values
-     * @param {MapFn} [mapFn]
+     * @param {MapFn | UsingFromOptions} [mapFn]
+     * @param {UsingFromOptions} [options]
      */
-    static usingFrom(values, mapFn = defaultMapFn) {
+    static usingFrom(values, mapFn = defaultMapFn, options = undefined) {
+      if (mapFn !== null && typeof mapFn === "object") {
+        options = mapFn;
+        mapFn = defaultMapFn;
+      }
+      const { mode = "each" } = options || {};
+      assertValidMode(mode);
+      const errorPolicy = getErrorPolicy(options);
+
       const syncIterable = /** @type {Iterable<unknown>} */ (values);
 
       if (typeof syncIterable[Symbol.iterator] !== "function") {
@@ -315,29 +971,153 @@ export const Disposable = /** @type {DisposableConstructor} */ (
       return {
         [Symbol.iterator]() {
           const iterator = syncIterable[Symbol.iterator]();
-          return wrapIterator(iterator, mapFn);
+          return wrapIterator(
+            iterator,
+            /** @type {MapFn} */ (mapFn),
+            mode,
+            errorPolicy
+          );
         },
       };
     }
 
+    /**
+     * @param {Function} fn
+     */
+    static resource(fn) {
+      return createResourceFactory(/** @type {any} */ (fn));
+    }
+
+    /**
+     * @param {Function} fn
+     */
+    static scoped(fn) {
+      if (typeof fn !== "function") {
+        throw new TypeError("fn is not a function");
+      }
+      const constructor = this || Disposable;
+
+      /**
+       * @this {unknown}
+       * @param {unknown[]} args
+       */
+      const scopedFn = function (...args) {
+        const res = callOnBehalf(scopedFn, () => new constructor());
+
+        /** @type {any} */
+        let result;
+        try {
+          result = runInScope(res, () => fn.call(this, res.using, ...args));
+        } catch (err) {
+          Disposable.#disposeAfterError(res, err);
+        }
+
+        switch (Object.prototype.toString.call(result)) {
+          case "[object Generator]":
+            return Disposable.#scopeGenerator(res, result);
+          case "[object AsyncGenerator]":
+            return Disposable.#scopeAsyncGenerator(res, result);
+        }
+
+        if (result && typeof result.then === "function") {
+          return Promise.resolve(result).then(
+            (value) => {
+              res.#dispose({ failed: false });
+              return value;
+            },
+            (err) => Disposable.#disposeAfterError(res, err)
+          );
+        }
+
+        res.#dispose({ failed: false });
+        return result;
+      };
+      return scopedFn;
+    }
+
+    /**
+     * Disposes of the aggregate as a failure, then throws the error, suppressed
+     * by any error thrown during disposal
+     *
+     * @param {Disposable} res
+     * @param {unknown} error
+     * @returns {never}
+     */
+    static #disposeAfterError(res, error) {
+      try {
+        res.#dispose({ failed: true, error });
+      } catch (disposeError) {
+        throw new SuppressedError(disposeError, error);
+      }
+      throw error;
+    }
+
+    /**
+     * @param {Disposable} res
+     * @param {Generator<unknown, unknown, unknown>} generator
+     */
+    static *#scopeGenerator(res, generator) {
+      // Remains a failure if the generator is closed early by `return()`
+      /** @type {Completion | undefined} */
+      let completion = { failed: true };
+      try {
+        const result = yield* scopeGenerator(res, generator);
+        completion = { failed: false };
+        return result;
+      } catch (err) {
+        completion = undefined;
+        Disposable.#disposeAfterError(res, err);
+      } finally {
+        if (completion) res.#dispose(completion);
+      }
+    }
+
+    /**
+     * @param {Disposable} res
+     * @param {AsyncGenerator<unknown, unknown, unknown>} generator
+     */
+    static async *#scopeAsyncGenerator(res, generator) {
+      /** @type {Completion | undefined} */
+      let completion = { failed: true };
+      try {
+        const result = yield* scopeGenerator(res, generator);
+        completion = { failed: false };
+        return result;
+      } catch (err) {
+        completion = undefined;
+        Disposable.#disposeAfterError(res, err);
+      } finally {
+        if (completion) res.#dispose(completion);
+      }
+    }
+
     static [Symbol.iterator]() {
-      /** @type {DisposableAggregate | undefined} */
-      let res = new (this || Disposable)();
+      /** @type {Disposable | undefined} */
+      let res = callOnBehalf(
+        Disposable[Symbol.iterator],
+        () => new (this || Disposable)()
+      );
 
       let used = false;
 
+      /** @type {(() => void) | undefined} */
+      let exitScope;
+
       /** @type {import("./disposable.js").Disposable.UsingIterator} */
       const iterator = createIterator({
         next() {
           if (!used && res) {
             used = true;
+            // Synchronously, so that the caller's execution context is updated
+            exitScope = enterScope(res);
             return {
               value: res,
               done: false,
             };
           } else {
+            if (exitScope) exitScope();
             if (res) {
-              res[symbolDispose]();
+              res.#dispose();
               res = undefined;
             }
             return {
@@ -348,14 +1128,12 @@ export const Disposable = /** @type {DisposableConstructor} */ (
         },
         return() {
           used = true;
-          try {
-            if (res) {
-              res[symbolDispose]();
-              res = undefined;
-            }
-          } catch (disposeError) {
-            // TODO: find a way to report when `return` triggered by a throw
-            throw disposeError;
+          // The iterator is closed early by a `break`, `return` or thrown
+          // error, which cannot be told apart
+          if (exitScope) exitScope();
+          if (res) {
+            res.#dispose({ failed: true });
+            res = undefined;
           }
           return {
             value: res,
@@ -364,23 +1142,14 @@ export const Disposable = /** @type {DisposableConstructor} */ (
         },
         throw(err) {
           used = true;
+          if (exitScope) exitScope();
           try {
             if (res) {
-              res[symbolDispose]();
+              res.#dispose({ failed: true, error: err });
               res = undefined;
             }
           } catch (disposeError) {
-            if (!("cause" in /** @type {Object}*/ (disposeError))) {
-              Object.defineProperty(disposeError, "cause", {
-                value: err,
-                enumerable: false,
-                writable: true,
-                configurable: true,
-              });
-              throw disposeError;
-            } else {
-              throw new AggregateError([err, disposeError]);
-            }
+            throw new SuppressedError(disposeError, err);
           }
           throw err;
         },
@@ -390,3 +1159,118 @@ export const Disposable = /** @type {DisposableConstructor} */ (
     }
   }
 );
+
+/** @type {DisposableStackConstructor | undefined} */
+const NativeDisposableStack = /** @type {any} */ (globalThis).DisposableStack;
+
+export const DisposableStack = /** @type {DisposableStackConstructor} */ (
+  NativeDisposableStack ||
+    class DisposableStack {
+      /** @type {Array<DisposableResourceRecord>} */
+      #resourceStack = [];
+
+      /** @type {'pending'|'disposed'} */
+      #state = "pending";
+
+      get disposed() {
+        return this.#state === "disposed";
+      }
+
+      dispose() {
+        if (this.#state === "disposed") {
+          return;
+        }
+        this.#state = "disposed";
+
+        disposeResources(this.#resourceStack);
+      }
+
+      /**
+       * @param {any} value
+       */
+      use(value) {
+        this.#assertPending();
+
+        if (value !== null && value !== undefined) {
+          const disposeMethod =
+            Object(value) === value ? value[symbolDispose] : undefined;
+          if (typeof disposeMethod !== "function") {
+            throw new TypeError("Invalid disposable");
+          }
+          this.#resourceStack.push({
+            resourceValue: value,
+            hint: "sync",
+            disposeMethod,
+          });
+        }
+
+        return value;
+      }
+
+      /**
+       * @param {any} value
+       * @param {(value: any) => void} onDispose
+       */
+      adopt(value, onDispose) {
+        this.#assertPending();
+
+        if (typeof onDispose !== "function") {
+          throw new TypeError("onDispose is not a function");
+        }
+        this.#resourceStack.push({
+          resourceValue: undefined,
+          hint: "sync",
+          disposeMethod: () => onDispose(value),
+        });
+
+        return value;
+      }
+
+      /**
+       * @param {() => void} onDispose
+       */
+      defer(onDispose) {
+        this.#assertPending();
+
+        if (typeof onDispose !== "function") {
+          throw new TypeError("onDispose is not a function");
+        }
+        this.#resourceStack.push({
+          resourceValue: undefined,
+          hint: "sync",
+          disposeMethod: onDispose,
+        });
+      }
+
+      move() {
+        this.#assertPending();
+
+        const stack = new DisposableStack();
+        stack.#resourceStack = this.#resourceStack;
+        this.#resourceStack = [];
+        this.#state = "disposed";
+
+        return stack;
+      }
+
+      #assertPending() {
+        if (this.#state === "disposed") {
+          throw new ReferenceError("DisposableStack already disposed");
+        }
+      }
+    }
+);
+
+if (!NativeDisposableStack) {
+  Object.defineProperties(DisposableStack.prototype, {
+    [symbolDispose]: {
+      value: DisposableStack.prototype.dispose,
+      configurable: true,
+      writable: true,
+    },
+    [Symbol.toStringTag]: {
+      value: "DisposableStack",
+      configurable: true,
+    },
+  });
+}
@@ -0,0 +1,96 @@
+import { DisposalError, SuppressedError } from "./errors.js";
+import { reportError } from "./report-error.js";
+
+/** @typedef {import("./disposable.js").Disposable.ErrorPolicyOptions} ErrorPolicyOptions */
+
+/**
+ * @typedef {Object} ErrorCollector
+ * @property {(error: unknown, record: {resourceValue: unknown, label?: string}, index: number) => void} add
+ * Collects the error thrown by the disposal of the record at the index of the
+ * stack
+ * @property {() => void} throwIfAny Throws the collected error, if any
+ */
+
+/**
+ * @param {unknown} errorPolicy
+ * @param {unknown} onError
+ */
+export const assertValidErrorPolicy = (errorPolicy, onError) => {
+  if (
+    errorPolicy !== "aggregate" &&
+    errorPolicy !== "first" &&
+    errorPolicy !== "report"
+  ) {
+    throw new RangeError(
+      'errorPolicy must be "aggregate", "first" or "report"'
+    );
+  }
+  if (onError !== undefined && typeof onError !== "function") {
+    throw new TypeError("onError is not a function");
+  }
+  if (errorPolicy === "report" && onError === undefined) {
+    throw new TypeError('onError is required by the "report" errorPolicy');
+  }
+};
+
+/**
+ * Validates the error policy of iterator helper options, returning undefined
+ * if none is set
+ *
+ * @param {ErrorPolicyOptions} [options]
+ * @returns {ErrorPolicyOptions | undefined}
+ */
+export const getErrorPolicy = (options) => {
+  if (!options) return undefined;
+  const { errorPolicy, onError } = options;
+  if (errorPolicy === undefined && onError === undefined) return undefined;
+  assertValidErrorPolicy(
+    errorPolicy === undefined ? "aggregate" : errorPolicy,
+    onError
+  );
+  return onError
+    ? { errorPolicy: errorPolicy || "aggregate", onError }
+    : { errorPolicy: errorPolicy || "aggregate" };
+};
+
+/**
+ * Creates a collector of the errors thrown during a disposal
+ *
+ * Without a policy, errors are chained as is, each suppressing the errors
+ * thrown before it. With a policy, each error is first wrapped in a
+ * `DisposalError` and handed to the `onError` callback, if any.
+ *
+ * @param {ErrorPolicyOptions} [policy]
+ * @returns {ErrorCollector}
+ */
+export const createErrorCollector = (policy) => {
+  let hasError = false;
+  /** @type {unknown} */
+  let error;
+
+  return {
+    add(err, { resourceValue, label }, index) {
+      if (policy) {
+        const { errorPolicy, onError } = policy;
+        err = new DisposalError(err, resourceValue, label, index);
+        if (onError) {
+          try {
+            onError(/** @type {DisposalError} */ (err));
+          } catch (callbackError) {
+            reportError(callbackError);
+          }
+        }
+        if (errorPolicy === "report" || (errorPolicy === "first" && hasError)) {
+          return;
+        }
+      }
+      error = hasError ? new SuppressedError(err, error) : err;
+      hasError = true;
+    },
+    throwIfAny() {
+      if (hasError) {
+        throw error;
+      }
+    },
+  };
+};
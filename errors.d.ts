@@ -0,0 +1,113 @@
+/**
+ * An error thrown while another error was already being handled, following
+ * the shape of the `SuppressedError` of the Explicit Resource Management
+ * proposal.
+ *
+ * Disposal errors are chained: the `error` property holds the latest error,
+ * and the `suppressed` property holds the error, possibly itself a
+ * `SuppressedError`, which was pending when it occurred.
+ */
+export interface SuppressedError extends Error {
+  /**
+   * The error which occurred last
+   */
+  error: any;
+
+  /**
+   * The error which was pending, and got suppressed by `error`
+   */
+  suppressed: any;
+}
+
+declare namespace SuppressedError {
+  export interface Constructor {
+    /**
+     * Creates an error suppressing a previous error
+     *
+     * @param error The error which occurred
+     * @param suppressed The error which was pending when `error` occurred
+     * @param message An optional message for the error
+     */
+    new (error: any, suppressed: any, message?: string): SuppressedError;
+
+    /**
+     * Creates an error suppressing a previous error
+     *
+     * @param error The error which occurred
+     * @param suppressed The error which was pending when `error` occurred
+     * @param message An optional message for the error
+     */
+    (error: any, suppressed: any, message?: string): SuppressedError;
+
+    readonly prototype: SuppressedError;
+  }
+}
+
+export declare const SuppressedError: SuppressedError.Constructor;
+
+/**
+ * The error with which the disposal of an async resource is abandoned when it
+ * does not complete within its timeout, or within the timeout of its scope
+ */
+export declare class DisposalTimeoutError extends Error {
+  /**
+   * Creates an error for a resource which failed to dispose in time
+   *
+   * @param resource The resource which timed out
+   * @param name A description of the resource used in the error message
+   * @param timeout The timeout in milliseconds which elapsed
+   */
+  constructor(resource: unknown, name: string, timeout: number);
+
+  /**
+   * The resource which failed to dispose in time
+   */
+  resource: unknown;
+
+  /**
+   * The timeout in milliseconds which elapsed
+   */
+  timeout: number;
+}
+
+/**
+ * The error wrapping an error thrown by the disposal of a resource, when an
+ * error policy is set, attributing it to the resource
+ */
+export declare class DisposalError extends Error {
+  /**
+   * Creates an error attributed to a resource which failed to dispose
+   *
+   * @param error The error thrown by the disposal of the resource
+   * @param resource The resource which failed to dispose
+   * @param label The label of the resource, if any
+   * @param index The position of the resource in the stack of its aggregate
+   */
+  constructor(
+    error: unknown,
+    resource: unknown,
+    label: string | undefined,
+    index: number
+  );
+
+  /**
+   * The error thrown by the disposal of the resource
+   */
+  cause: unknown;
+
+  /**
+   * The resource which failed to dispose
+   */
+  resource: unknown;
+
+  /**
+   * The label of the resource, if any
+   */
+  label: string | undefined;
+
+  /**
+   * The position of the resource in the stack of its aggregate, starting at 0
+   * for the first resource added
+   */
+  index: number;
+}
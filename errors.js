@@ -0,0 +1,108 @@
+/** @typedef {import("./errors.js").SuppressedError.Constructor} SuppressedErrorConstructor */
+
+/** @type {SuppressedErrorConstructor | undefined} */
+const NativeSuppressedError = /** @type {any} */ (globalThis).SuppressedError;
+
+/**
+ * Creates a constructor following the specification of `SuppressedError`,
+ * which can be called with or without `new`
+ *
+ * @returns {SuppressedErrorConstructor}
+ */
+const createSuppressedError = () => {
+  /**
+   * @param {unknown} error
+   * @param {unknown} suppressed
+   * @param {string} [message]
+   */
+  function SuppressedError(error, suppressed, message) {
+    const newTarget = new.target || SuppressedError;
+    const instance = Reflect.construct(
+      Error,
+      message === undefined ? [] : [message],
+      newTarget
+    );
+    Object.defineProperties(instance, {
+      error: { value: error, configurable: true, writable: true },
+      suppressed: { value: suppressed, configurable: true, writable: true },
+    });
+    return instance;
+  }
+
+  Object.setPrototypeOf(SuppressedError, Error);
+  Object.defineProperty(SuppressedError, "prototype", {
+    value: Object.create(Error.prototype, {
+      constructor: {
+        value: SuppressedError,
+        configurable: true,
+        writable: true,
+      },
+      name: { value: "SuppressedError", configurable: true, writable: true },
+      message: { value: "", configurable: true, writable: true },
+    }),
+    writable: false,
+  });
+
+  return /** @type {any} */ (SuppressedError);
+};
+
+export const SuppressedError = NativeSuppressedError || createSuppressedError();
+
+export class DisposalTimeoutError extends Error {
+  /**
+   * @param {unknown} resource
+   * @param {string} name
+   * @param {number} timeout
+   */
+  constructor(resource, name, timeout) {
+    super(`Disposal of ${name} timed out after ${timeout}ms`);
+    this.resource = resource;
+    this.timeout = timeout;
+  }
+}
+
+Object.defineProperty(DisposalTimeoutError.prototype, "name", {
+  value: "DisposalTimeoutError",
+  configurable: true,
+  writable: true,
+});
+
+/**
+ * `Error` with the options of ES2022, which hosts without error causes ignore
+ *
+ * @type {new (message?: string, options?: { cause?: unknown }) => Error}
+ */
+const ErrorWithOptions = Error;
+
+export class DisposalError extends ErrorWithOptions {
+  /**
+   * @param {unknown} error
+   * @param {unknown} resource
+   * @param {string | undefined} label
+   * @param {number} index
+   */
+  constructor(error, resource, label, index) {
+    super(
+      `Disposal of ${
+        label === undefined ? `resource at index ${index}` : label
+      } failed`,
+      { cause: error }
+    );
+    if (!("cause" in this)) {
+      Object.defineProperty(this, "cause", {
+        value: error,
+        configurable: true,
+        writable: true,
+      });
+    }
+    this.resource = resource;
+    this.label = label;
+    this.index = index;
+  }
+}
+
+Object.defineProperty(DisposalError.prototype, "name", {
+  value: "DisposalError",
+  configurable: true,
+  writable: true,
+});
@@ -0,0 +1,35 @@
+/**
+ * A Node `EventEmitter` like object
+ */
+export interface EventEmitterLike {
+  on(type: string | symbol, listener: (...args: any[]) => void): unknown;
+  once?(type: string | symbol, listener: (...args: any[]) => void): unknown;
+  off(type: string | symbol, listener: (...args: any[]) => void): unknown;
+}
+
+/**
+ * A DOM or WHATWG `EventTarget`, or a Node `EventEmitter` like object
+ */
+export type EventListenerTarget = EventTarget | EventEmitterLike;
+
+export type EventListenerHandler =
+  | EventListenerOrEventListenerObject
+  | ((...args: any[]) => void);
+
+/**
+ * Subscribes the handler to events of the given type emitted by an
+ * `EventTarget` or a Node `EventEmitter`
+ *
+ * @param target The event target or event emitter
+ * @param type The type of events
+ * @param handler The event handler
+ * @param options The options of the subscription. For an event emitter, only
+ * `once` is supported
+ * @returns A function unsubscribing the handler with the matching arguments
+ */
+export declare function addListener(
+  target: EventListenerTarget,
+  type: string | symbol,
+  handler: EventListenerHandler,
+  options?: boolean | AddEventListenerOptions
+): () => void;
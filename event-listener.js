@@ -0,0 +1,45 @@
+/** @typedef {import("./event-listener.js").EventListenerTarget} EventListenerTarget */
+/** @typedef {import("./event-listener.js").EventListenerHandler} EventListenerHandler */
+
+/**
+ * Subscribes the handler to events of the given type emitted by an
+ * `EventTarget` or a Node `EventEmitter`
+ *
+ * @param {EventListenerTarget} target
+ * @param {string | symbol} type
+ * @param {EventListenerHandler} handler
+ * @param {boolean | AddEventListenerOptions} [options]
+ * @returns {() => void} A function unsubscribing the handler with the
+ * matching arguments
+ */
+export const addListener = (target, type, handler, options) => {
+  const eventTarget = /** @type {EventTarget} */ (target);
+  const emitter =
+    /** @type {import("./event-listener.js").EventEmitterLike} */ (target);
+
+  if (
+    typeof eventTarget.addEventListener === "function" &&
+    typeof eventTarget.removeEventListener === "function"
+  ) {
+    const eventType = /** @type {string} */ (type);
+    const listener = /** @type {EventListenerOrEventListenerObject} */ (
+      handler
+    );
+    eventTarget.addEventListener(eventType, listener, options);
+    return () => eventTarget.removeEventListener(eventType, listener, options);
+  } else if (
+    typeof emitter.on === "function" &&
+    typeof emitter.off === "function"
+  ) {
+    const listener = /** @type {(...args: any[]) => void} */ (handler);
+    const once =
+      typeof options === "object" && options.once && emitter.once
+        ? emitter.once
+        : emitter.on;
+    once.call(emitter, type, listener);
+    return () => {
+      emitter.off(type, listener);
+    };
+  }
+  throw new TypeError("target is not an EventTarget or EventEmitter");
+};
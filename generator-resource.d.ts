@@ -0,0 +1,72 @@
+import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+
+/**
+ * A disposable resource created from a generator function
+ */
+export interface ResourceHandle<T> {
+  /**
+   * The value yielded by the generator
+   */
+  readonly value: T;
+
+  /**
+   * Resumes the generator to release the resource. When disposed of by an
+   * aggregate whose scope failed with a known error, the error is thrown into
+   * the generator. A `for-of` block cannot tell a thrown error from an early
+   * exit, and only closes the generator with `return()`
+   */
+  [symbolDispose](): void;
+}
+
+/**
+ * An async disposable resource created from a generator or async generator
+ * function
+ */
+export interface AsyncResourceHandle<T> {
+  /**
+   * The value yielded by the generator
+   */
+  readonly value: T;
+
+  /**
+   * Resumes the generator to release the resource. When disposed of by an
+   * aggregate whose scope failed with a known error, the error is thrown into
+   * the generator. A `for-of` block cannot tell a thrown error from an early
+   * exit, and only closes the generator with `return()`
+   */
+  [symbolAsyncDispose](): Promise<void>;
+}
+
+/**
+ * Whether the dispose method of a resource expects the completion of the
+ * scope as argument
+ *
+ * @param disposeMethod The dispose method of the resource
+ */
+export declare function expectsCompletion(disposeMethod: Function): boolean;
+
+/**
+ * Creates a factory of disposable resources from a generator function which
+ * acquires then yields the resource, and releases it once resumed
+ *
+ * @param fn The generator function
+ * @returns The resource factory
+ */
+export declare function createResourceFactory<This, Args extends any[], T>(
+  fn: (this: This, ...args: Args) => Generator<T, unknown, undefined>
+): (this: This, ...args: Args) => ResourceHandle<T>;
+
+/**
+ * Creates a factory of async disposable resources from a generator or async
+ * generator function which acquires then yields the resource, and releases it
+ * once resumed
+ *
+ * @param fn The generator or async generator function
+ * @returns The async resource factory
+ */
+export declare function createAsyncResourceFactory<This, Args extends any[], T>(
+  fn: (
+    this: This,
+    ...args: Args
+  ) => AsyncGenerator<T, unknown, undefined> | Generator<T, unknown, undefined>
+): (this: This, ...args: Args) => Promise<AsyncResourceHandle<T>>;
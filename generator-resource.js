@@ -0,0 +1,154 @@
+import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+
+/** @typedef {import("./generator-resource.js").ResourceHandle<unknown>} ResourceHandle */
+/** @typedef {import("./generator-resource.js").AsyncResourceHandle<unknown>} AsyncResourceHandle */
+
+/**
+ * @typedef {Object} Completion
+ * @property {boolean} failed Whether the scope was exited abruptly
+ * @property {unknown} [error] The error causing the failure, if known
+ */
+
+/** @type {WeakSet<Function>} */
+const completionAwareMethods = new WeakSet();
+
+/**
+ * Whether the dispose method of a resource expects the completion of the
+ * scope as argument
+ *
+ * @param {Function} disposeMethod
+ * @returns {boolean}
+ */
+export const expectsCompletion = (disposeMethod) =>
+  completionAwareMethods.has(disposeMethod);
+
+/**
+ * Resumes the generator from its `yield` according to the completion of the
+ * scope: the error causing the failure is thrown into it, a failure with no
+ * known error closes it, and a success resumes it normally. The generator
+ * must then complete.
+ *
+ * @param {Generator<unknown, unknown, undefined>} generator
+ * @param {Completion} [completion]
+ */
+const resume = (generator, completion) => {
+  const { failed, error } = completion || { failed: false };
+  let result;
+  if (!failed) {
+    result = generator.next();
+  } else if (error === undefined) {
+    result = generator.return(undefined);
+  } else {
+    try {
+      result = generator.throw(error);
+    } catch (err) {
+      // The generator let the error through, which is not a disposal error
+      if (err === error) return;
+      throw err;
+    }
+  }
+  if (!result.done) {
+    generator.return(undefined);
+    throw new TypeError("Resource generator did not complete after yielding");
+  }
+};
+
+/**
+ * @param {AsyncGenerator<unknown, unknown, undefined> | Generator<unknown, unknown, undefined>} generator
+ * @param {Completion} [completion]
+ */
+const resumeAsync = async (generator, completion) => {
+  const { failed, error } = completion || { failed: false };
+  let result;
+  if (!failed) {
+    result = await generator.next();
+  } else if (error === undefined) {
+    result = await generator.return(undefined);
+  } else {
+    try {
+      result = await generator.throw(error);
+    } catch (err) {
+      if (err === error) return;
+      throw err;
+    }
+  }
+  if (!result.done) {
+    await generator.return(undefined);
+    throw new TypeError("Resource generator did not complete after yielding");
+  }
+};
+
+/**
+ * Creates a factory of disposable resources from a generator function which
+ * acquires then yields the resource, and releases it once resumed
+ *
+ * @param {(...args: any[]) => Generator<unknown, unknown, undefined>} fn
+ */
+export const createResourceFactory = (fn) => {
+  if (typeof fn !== "function") {
+    throw new TypeError("fn is not a function");
+  }
+
+  /**
+   * @this {unknown}
+   * @param {unknown[]} args
+   * @returns {ResourceHandle}
+   */
+  return function (...args) {
+    const generator = fn.apply(this, args);
+    const { value, done } = generator.next();
+    if (done) {
+      throw new TypeError("Resource generator did not yield");
+    }
+
+    let disposed = false;
+    /** @param {Completion} [completion] */
+    const dispose = (completion) => {
+      if (disposed) return;
+      disposed = true;
+      resume(generator, completion);
+    };
+    completionAwareMethods.add(dispose);
+
+    return { value, [symbolDispose]: dispose };
+  };
+};
+
+/**
+ * Creates a factory of async disposable resources from a generator or async
+ * generator function which acquires then yields the resource, and releases it
+ * once resumed
+ *
+ * @param {(...args: any[]) => AsyncGenerator<unknown, unknown, undefined> | Generator<unknown, unknown, undefined>} fn
+ */
+export const createAsyncResourceFactory = (fn) => {
+  if (typeof fn !== "function") {
+    throw new TypeError("fn is not a function");
+  }
+
+  /**
+   * @this {unknown}
+   * @param {unknown[]} args
+   * @returns {Promise<AsyncResourceHandle>}
+   */
+  return async function (...args) {
+    const generator = fn.apply(this, args);
+    const { value, done } = await generator.next();
+    if (done) {
+      throw new TypeError("Resource generator did not yield");
+    }
+
+    /** @type {Promise<void> | undefined} */
+    let disposal;
+    /** @param {Completion} [completion] */
+    const dispose = (completion) => {
+      if (!disposal) {
+        disposal = resumeAsync(generator, completion);
+      }
+      return disposal;
+    };
+    completionAwareMethods.add(dispose);
+
+    return { value, [symbolAsyncDispose]: dispose };
+  };
+};
@@ -1,3 +1,35 @@
-export { Disposable } from "./disposable.js";
-export { AsyncDisposable } from "./async-disposable.js";
+export { Disposable, DisposableStack } from "./disposable.js";
+export { AsyncDisposable, AsyncDisposableStack } from "./async-disposable.js";
+export { toAsyncDisposable } from "./async-bridge.js";
+export {
+  ResourcePool,
+  AsyncResourcePool,
+  PoolLease,
+  AsyncPoolLease,
+} from "./pool.js";
+export {
+  Mutex,
+  Semaphore,
+  RWLock,
+  LockGuard,
+  AcquireOptions,
+} from "./locks.js";
+export { ResourceHandle, AsyncResourceHandle } from "./generator-resource.js";
+export { currentScope, defer, AmbientScope, Scope } from "./ambient-scope.js";
+export {
+  SuppressedError,
+  DisposalTimeoutError,
+  DisposalError,
+} from "./errors.js";
+export {
+  enableLeakDetection,
+  disableLeakDetection,
+  LeakReport,
+} from "./leak-detection.js";
+export {
+  addInstrumentationHook,
+  channelNames,
+  InstrumentationHook,
+  InstrumentationEvents,
+} from "./instrumentation.js";
 export { symbolDispose, symbolAsyncDispose } from "./symbols.js";
@@ -1,3 +1,14 @@
-export { Disposable } from "./disposable.js";
-export { AsyncDisposable } from "./async-disposable.js";
+export { Disposable, DisposableStack } from "./disposable.js";
+export { AsyncDisposable, AsyncDisposableStack } from "./async-disposable.js";
+export { toAsyncDisposable } from "./async-bridge.js";
+export { ResourcePool, AsyncResourcePool } from "./pool.js";
+export { Mutex, Semaphore, RWLock } from "./locks.js";
+export { currentScope, defer } from "./ambient-scope.js";
+export {
+  SuppressedError,
+  DisposalTimeoutError,
+  DisposalError,
+} from "./errors.js";
+export { enableLeakDetection, disableLeakDetection } from "./leak-detection.js";
+export { addInstrumentationHook, channelNames } from "./instrumentation.js";
 export { symbolDispose, symbolAsyncDispose } from "./symbols.js";
@@ -0,0 +1,20 @@
+export interface InspectOptions {
+  depth?: number | null | undefined;
+  [option: string]: unknown;
+}
+
+export type Inspect = (value: unknown, options: InspectOptions) => string;
+
+/**
+ * The symbol used by Node's `util.inspect` to customize the representation of
+ * an object
+ */
+export declare const inspectSymbol: unique symbol;
+
+export declare function inspectAggregate(
+  name: string,
+  details: object,
+  depth: number,
+  options?: InspectOptions,
+  inspect?: Inspect
+): unknown;
@@ -0,0 +1,26 @@
+/** @typedef {import("./inspect.js").InspectOptions} InspectOptions */
+/** @typedef {import("./inspect.js").Inspect} Inspect */
+
+export const inspectSymbol = Symbol.for("nodejs.util.inspect.custom");
+
+/**
+ * Formats the details of an aggregate for `util.inspect`, prefixed by the
+ * name of the aggregate
+ *
+ * @param {string} name
+ * @param {object} details
+ * @param {number} depth
+ * @param {InspectOptions} [options]
+ * @param {Inspect} [inspect]
+ * @returns {unknown}
+ */
+export const inspectAggregate = (name, details, depth, options, inspect) => {
+  if (depth < 0) {
+    return `[${name}]`;
+  }
+  if (typeof inspect !== "function" || !options) {
+    // Older versions of Node do not provide the inspect function
+    return details;
+  }
+  return `${name} ${inspect(details, options)}`;
+};
@@ -0,0 +1,132 @@
+export interface ResourceAddedEvent {
+  /**
+   * The aggregate or `usingFrom` iterator tracking the resource
+   */
+  source: object;
+
+  /**
+   * The resource, or the value passed with a dispose callback
+   */
+  resource: unknown;
+
+  /**
+   * Whether the resource is disposed of synchronously or asynchronously
+   */
+  hint: "sync" | "async";
+}
+
+export interface DisposeStartEvent {
+  /**
+   * The aggregate being disposed of
+   */
+  source: object;
+
+  /**
+   * The completion of the scope causing the disposal
+   */
+  completion: { failed: boolean; error?: unknown };
+}
+
+export interface RecordDisposedEvent extends ResourceAddedEvent {
+  /**
+   * Time in milliseconds taken by the disposal of the resource
+   */
+  duration: number;
+
+  /**
+   * Whether the disposal of the resource threw
+   */
+  failed: boolean;
+
+  /**
+   * The error thrown by the disposal of the resource, if it failed
+   */
+  error?: unknown;
+}
+
+export interface DisposeErrorEvent extends ResourceAddedEvent {
+  /**
+   * The error thrown by the disposal of the resource
+   */
+  error: unknown;
+}
+
+export interface DisposedEvent {
+  /**
+   * The aggregate disposed of
+   */
+  source: object;
+
+  /**
+   * Time in milliseconds taken by the disposal of all resources
+   */
+  duration: number;
+
+  /**
+   * Whether the disposal of any resource threw
+   */
+  failed: boolean;
+
+  /**
+   * The error thrown by the disposal, if it failed
+   */
+  error?: unknown;
+}
+
+export interface InstrumentationEvents {
+  resourceAdded: ResourceAddedEvent;
+  disposeStart: DisposeStartEvent;
+  recordDisposed: RecordDisposedEvent;
+  disposeError: DisposeErrorEvent;
+  disposed: DisposedEvent;
+}
+
+/**
+ * An object receiving lifecycle events of aggregates and `usingFrom` iterators
+ */
+export type InstrumentationHook = {
+  [K in keyof InstrumentationEvents]?: (
+    event: InstrumentationEvents[K]
+  ) => void;
+};
+
+/**
+ * The names of the `node:diagnostics_channel` channels on which the events
+ * are published
+ */
+export declare const channelNames: Readonly<
+  Record<keyof InstrumentationEvents, string>
+>;
+
+/**
+ * Registers a hook receiving the lifecycle events of aggregates and
+ * `usingFrom` iterators. Errors thrown by the hook are reported
+ * asynchronously and do not affect the disposal
+ *
+ * @param hook The hook to register
+ * @returns A function removing the hook
+ */
+export declare function addInstrumentationHook(
+  hook: InstrumentationHook
+): () => void;
+
+export interface TracedRecord {
+  resourceValue: unknown;
+  hint: "sync" | "async";
+}
+
+export declare function traceResourceAdded(
+  source: object,
+  record: TracedRecord | undefined
+): void;
+
+export declare function traceDisposal(
+  source: object,
+  completion: { failed: boolean; error?: unknown }
+): ((failure?: { error: unknown }) => void) | undefined;
+
+export declare function traceRecord<R extends void | PromiseLike<void>>(
+  source: object | undefined,
+  record: TracedRecord,
+  dispose: () => R
+): R | Promise<void>;
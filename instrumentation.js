@@ -0,0 +1,194 @@
+import { loadBuiltinModule } from "./builtin-module.js";
+import { reportError } from "./report-error.js";
+
+/** @typedef {import("./instrumentation.js").InstrumentationHook} InstrumentationHook */
+/** @typedef {import("./instrumentation.js").InstrumentationEvents} InstrumentationEvents */
+/** @typedef {import("./instrumentation.js").TracedRecord} TracedRecord */
+/** @typedef {keyof InstrumentationEvents} EventType */
+
+/**
+ * @typedef {object} Channel
+ * @property {boolean} hasSubscribers
+ * @property {(message: unknown) => void} publish
+ */
+
+/** @type {Readonly<Record<EventType, string>>} */
+export const channelNames = Object.freeze({
+  resourceAdded: "disposator:resource-added",
+  disposeStart: "disposator:dispose-start",
+  recordDisposed: "disposator:record-disposed",
+  disposeError: "disposator:dispose-error",
+  disposed: "disposator:disposed",
+});
+
+/** @type {Channel[]} */
+const channelList = [];
+
+/** @type {Partial<Record<EventType, Channel>>} */
+const channels = {};
+
+loadBuiltinModule(
+  "node:diagnostics_channel",
+  /** @param {{channel(name: string): Channel}} diagnosticsChannel */
+  (diagnosticsChannel) => {
+    for (const [type, name] of Object.entries(channelNames)) {
+      const channel = diagnosticsChannel.channel(name);
+      channels[/** @type {EventType} */ (type)] = channel;
+      channelList.push(channel);
+    }
+  }
+);
+
+/** @type {Set<InstrumentationHook>} */
+const hooks = new Set();
+
+const now =
+  typeof performance !== "undefined" && typeof performance.now === "function"
+    ? () => performance.now()
+    : () => Date.now();
+
+/**
+ * Registers a hook receiving the lifecycle events of aggregates
+ *
+ * @param {InstrumentationHook} hook
+ * @returns {() => void} A function removing the hook
+ */
+export const addInstrumentationHook = (hook) => {
+  if (hook === null || typeof hook !== "object") {
+    throw new TypeError("hook is not an object");
+  }
+  hooks.add(hook);
+  return () => {
+    hooks.delete(hook);
+  };
+};
+
+/**
+ * Whether any hook or channel subscriber would receive events
+ */
+const isInstrumented = () =>
+  hooks.size > 0 || channelList.some(({ hasSubscribers }) => hasSubscribers);
+
+/**
+ * @template {EventType} T
+ * @param {T} type
+ * @param {InstrumentationEvents[T]} event
+ */
+const publish = (type, event) => {
+  const channel = channels[type];
+  if (channel && channel.hasSubscribers) {
+    channel.publish(event);
+  }
+  for (const hook of hooks) {
+    const handler = /** @type {((event: unknown) => void) | undefined} */ (
+      hook[type]
+    );
+    if (typeof handler !== "function") continue;
+    try {
+      handler.call(hook, event);
+    } catch (err) {
+      // Hooks must not interfere with the disposal, report asynchronously
+      reportError(err);
+    }
+  }
+};
+
+/**
+ * @param {object} source
+ * @param {TracedRecord} record
+ * @param {number} start
+ * @param {{error: unknown}} [failure]
+ */
+const publishRecordDisposed = (source, record, start, failure) => {
+  const { resourceValue: resource, hint } = record;
+  const duration = now() - start;
+  if (failure) {
+    const { error } = failure;
+    publish("recordDisposed", {
+      source,
+      resource,
+      hint,
+      duration,
+      failed: true,
+      error,
+    });
+    publish("disposeError", { source, resource, hint, error });
+  } else {
+    publish("recordDisposed", {
+      source,
+      resource,
+      hint,
+      duration,
+      failed: false,
+    });
+  }
+};
+
+/**
+ * @param {object} source The aggregate or iterator tracking the resource
+ * @param {TracedRecord | undefined} record
+ */
+export const traceResourceAdded = (source, record) => {
+  if (record && isInstrumented()) {
+    const { resourceValue: resource, hint } = record;
+    publish("resourceAdded", { source, resource, hint });
+  }
+};
+
+/**
+ * Publishes the start of the disposal of an aggregate
+ *
+ * @param {object} source
+ * @param {{failed: boolean, error?: unknown}} completion
+ * @returns {((failure?: {error: unknown}) => void) | undefined} A function
+ * publishing the end of the disposal, if instrumented
+ */
+export const traceDisposal = (source, completion) => {
+  if (!isInstrumented()) return undefined;
+  publish("disposeStart", { source, completion });
+  const start = now();
+  return (failure) => {
+    const duration = now() - start;
+    publish(
+      "disposed",
+      failure
+        ? { source, duration, failed: true, error: failure.error }
+        : { source, duration, failed: false }
+    );
+  };
+};
+
+/**
+ * Invokes the disposal of a record, publishing its outcome once the result
+ * returned by the dispose function, if any, settles
+ *
+ * @template {void | PromiseLike<void>} R
+ * @param {object | undefined} source
+ * @param {TracedRecord} record
+ * @param {() => R} dispose
+ * @returns {R | Promise<void>}
+ */
+export const traceRecord = (source, record, dispose) => {
+  if (!source || !isInstrumented()) {
+    return dispose();
+  }
+  const start = now();
+  let result;
+  try {
+    result = dispose();
+  } catch (error) {
+    publishRecordDisposed(source, record, start, { error });
+    throw error;
+  }
+  if (result && typeof result.then === "function") {
+    return Promise.resolve(result).then(
+      () => publishRecordDisposed(source, record, start),
+      (error) => {
+        publishRecordDisposed(source, record, start, { error });
+        throw error;
+      }
+    );
+  }
+  publishRecordDisposed(source, record, start);
+  return result;
+};
@@ -0,0 +1,63 @@
+/**
+ * The report of an aggregate garbage collected without being disposed of
+ */
+export interface LeakReport {
+  /**
+   * The kind of aggregate, `"Disposable"` or `"AsyncDisposable"`
+   */
+  kind: string;
+
+  /**
+   * The stack trace captured when the aggregate was created
+   */
+  constructionStack: string;
+
+  /**
+   * The stack traces captured each time resources were added to the aggregate
+   */
+  usingStacks: string[];
+}
+
+/**
+ * Enables the reporting of aggregates garbage collected while still pending,
+ * with tracked resources. Only aggregates created after this call are tracked.
+ * Leak detection is also enabled on load when the `DISPOSATOR_LEAK_DETECTION`
+ * environment variable is set
+ *
+ * @param onLeak The callback invoked with the report of a leaked aggregate.
+ * Defaults to logging the report with `console.warn`
+ */
+export declare function enableLeakDetection(
+  onLeak?: (report: LeakReport) => void
+): void;
+
+/**
+ * Stops tracking newly created aggregates and reporting leaks
+ */
+export declare function disableLeakDetection(): void;
+
+/**
+ * The tracking state of an aggregate
+ */
+export interface LeakInfo {
+  kind: string;
+  constructionStack: string;
+  usingStacks: string[];
+}
+
+export declare function callOnBehalf<T>(entry: Function, fn: () => T): T;
+
+export declare function trackAggregate(
+  aggregate: object,
+  kind: string
+): LeakInfo | undefined;
+
+export declare function recordUsing(
+  info: LeakInfo | undefined,
+  boundary: Function
+): void;
+
+export declare function untrackAggregate(
+  aggregate: object,
+  info: LeakInfo | undefined
+): void;
@@ -0,0 +1,154 @@
+/** @typedef {import("./leak-detection.js").LeakReport} LeakReport */
+
+/** @typedef {import("./leak-detection.js").LeakInfo} LeakInfo */
+
+let enabled = false;
+
+/** @type {FinalizationRegistry<LeakInfo> | undefined} */
+let registry;
+
+/** @type {(report: LeakReport) => void} */
+let onLeak;
+
+/**
+ * The library function called by the user, on behalf of whom an aggregate is
+ * being created or resources added, if any
+ * @type {Function | undefined}
+ */
+let entryPoint;
+
+/** @param {LeakReport} report */
+const defaultOnLeak = ({ kind, constructionStack, usingStacks }) => {
+  console.warn(
+    [
+      `${kind} aggregate garbage collected without being disposed of, leaking resources`,
+      `Created ${constructionStack}`,
+      ...usingStacks.map((stack) => `Resources added ${stack}`),
+    ].join("\n")
+  );
+};
+
+/**
+ * Captures the current stack trace, without the frames of the boundary
+ * function and the frames above it
+ *
+ * @param {string} label
+ * @param {Function} boundary
+ */
+const captureStack = (label, boundary) => {
+  /** @type {{stack?: string}} */
+  const holder = {};
+  if (typeof Error.captureStackTrace === "function") {
+    Error.captureStackTrace(holder, boundary);
+  } else {
+    holder.stack = new Error().stack;
+  }
+  const frames = (holder.stack || "").split("\n").slice(1);
+  return [label, ...frames].join("\n");
+};
+
+/**
+ * Enables the reporting of aggregates garbage collected while still pending,
+ * with tracked resources. Only aggregates created after this call are tracked
+ *
+ * @param {(report: LeakReport) => void} [callback]
+ */
+export const enableLeakDetection = (callback = defaultOnLeak) => {
+  onLeak = callback;
+  enabled = true;
+  if (!registry) {
+    registry = new FinalizationRegistry((info) => {
+      if (enabled && info.usingStacks.length) {
+        onLeak({ ...info, usingStacks: [...info.usingStacks] });
+      }
+    });
+  }
+};
+
+/**
+ * Stops tracking newly created aggregates and reporting leaks
+ */
+export const disableLeakDetection = () => {
+  enabled = false;
+};
+
+/**
+ * Calls the function on behalf of the caller of the given library function,
+ * so that the construction and usage stacks captured meanwhile start at that
+ * caller. The outermost library function is kept when calls are nested.
+ *
+ * @template T
+ * @param {Function} entry The library function called by the user
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export const callOnBehalf = (entry, fn) => {
+  if (!enabled || entryPoint) return fn();
+  entryPoint = entry;
+  try {
+    return fn();
+  } finally {
+    entryPoint = undefined;
+  }
+};
+
+/**
+ * Starts tracking an aggregate if leak detection is enabled
+ *
+ * @param {object} aggregate
+ * @param {string} kind
+ * @returns {LeakInfo | undefined}
+ */
+export const trackAggregate = (aggregate, kind) => {
+  if (!enabled || !registry) return undefined;
+  let constructionStack = captureStack(
+    "at:",
+    entryPoint || aggregate.constructor
+  );
+  if (!constructionStack.includes("\n")) {
+    // The boundary is not on the stack, for example with Reflect.construct
+    constructionStack = captureStack("at:", trackAggregate);
+  }
+  /** @type {LeakInfo} */
+  const info = { kind, constructionStack, usingStacks: [] };
+  registry.register(aggregate, info, aggregate);
+  return info;
+};
+
+/**
+ * Records the stack trace of the addition of resources to a tracked aggregate
+ *
+ * @param {LeakInfo | undefined} info
+ * @param {Function} boundary The library function called by the user, unless
+ * called on behalf of another one
+ */
+export const recordUsing = (info, boundary) => {
+  if (info) {
+    let usingStack = captureStack("at:", entryPoint || boundary);
+    if (!usingStack.includes("\n")) {
+      usingStack = captureStack("at:", recordUsing);
+    }
+    info.usingStacks.push(usingStack);
+  }
+};
+
+/**
+ * Stops tracking an aggregate once its disposal started
+ *
+ * @param {object} aggregate
+ * @param {LeakInfo | undefined} info
+ */
+export const untrackAggregate = (aggregate, info) => {
+  if (info && registry) {
+    registry.unregister(aggregate);
+  }
+};
+
+const env =
+  /** @type {{process?: {env?: Record<string, string | undefined>}}} */ (
+    globalThis
+  ).process?.env;
+
+if (env && env["DISPOSATOR_LEAK_DETECTION"]) {
+  enableLeakDetection();
+}
@@ -0,0 +1,183 @@
+import { symbolDispose } from "./symbols.js";
+import { Disposable } from "./disposable.js";
+
+/**
+ * A guard holding a lock, releasing it when disposed of
+ */
+export interface LockGuard extends Disposable {
+  /**
+   * Releases the lock. Subsequent calls have no effect
+   */
+  release(): void;
+
+  [symbolDispose](): void;
+}
+
+export interface AcquireOptions {
+  /**
+   * A signal to cancel the acquisition. When aborted before the lock is
+   * acquired, the acquisition is removed from the wait queue and rejects with
+   * the abort reason. An already aborted signal rejects even if the lock is
+   * free
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * A counting semaphore granting its permits in FIFO order
+ */
+export interface Semaphore {
+  /**
+   * The number of permits currently available
+   */
+  readonly available: number;
+
+  /**
+   * The number of acquisitions waiting for a permit
+   */
+  readonly pending: number;
+
+  /**
+   * Acquires a permit, waiting for one to be released if none is available
+   *
+   * @param options Options for the acquisition
+   * @returns A guard releasing the permit
+   */
+  acquire(options?: AcquireOptions): Promise<LockGuard>;
+
+  /**
+   * Acquires a permit if one is available and no acquisition is waiting
+   *
+   * @returns A guard releasing the permit, or `undefined`
+   */
+  tryAcquire(): LockGuard | undefined;
+
+  readonly [Symbol.toStringTag]: string;
+}
+
+declare namespace Semaphore {
+  export interface Constructor {
+    /**
+     * Creates a semaphore
+     *
+     * @param permits The number of permits, defaults to 1
+     */
+    new (permits?: number): Semaphore;
+
+    readonly prototype: Semaphore;
+  }
+}
+
+export declare const Semaphore: Semaphore.Constructor;
+
+/**
+ * A mutual exclusion lock granted in FIFO order
+ */
+export interface Mutex {
+  /**
+   * Whether the lock is currently held
+   */
+  readonly locked: boolean;
+
+  /**
+   * The number of acquisitions waiting for the lock
+   */
+  readonly pending: number;
+
+  /**
+   * Acquires the lock, waiting for it to be released if held
+   *
+   * @param options Options for the acquisition
+   * @returns A guard releasing the lock
+   */
+  acquire(options?: AcquireOptions): Promise<LockGuard>;
+
+  /**
+   * Acquires the lock if it is free and no acquisition is waiting
+   *
+   * @returns A guard releasing the lock, or `undefined`
+   */
+  tryAcquire(): LockGuard | undefined;
+
+  readonly [Symbol.toStringTag]: string;
+}
+
+declare namespace Mutex {
+  export interface Constructor {
+    /**
+     * Creates a mutex
+     */
+    new (): Mutex;
+
+    readonly prototype: Mutex;
+  }
+}
+
+export declare const Mutex: Mutex.Constructor;
+
+/**
+ * A read/write lock, held either by any number of readers or by a single
+ * writer, and granted in FIFO order: readers do not overtake a waiting writer
+ */
+export interface RWLock {
+  /**
+   * The number of readers currently holding the lock
+   */
+  readonly readers: number;
+
+  /**
+   * Whether a writer currently holds the lock
+   */
+  readonly writing: boolean;
+
+  /**
+   * The number of acquisitions waiting for the lock
+   */
+  readonly pending: number;
+
+  /**
+   * Acquires the lock for reading, waiting for the writers before it
+   *
+   * @param options Options for the acquisition
+   * @returns A guard releasing the read lock
+   */
+  acquireRead(options?: AcquireOptions): Promise<LockGuard>;
+
+  /**
+   * Acquires the lock for writing, waiting for all readers and writers
+   * before it
+   *
+   * @param options Options for the acquisition
+   * @returns A guard releasing the write lock
+   */
+  acquireWrite(options?: AcquireOptions): Promise<LockGuard>;
+
+  /**
+   * Acquires the lock for reading if no writer holds or waits for it
+   *
+   * @returns A guard releasing the read lock, or `undefined`
+   */
+  tryAcquireRead(): LockGuard | undefined;
+
+  /**
+   * Acquires the lock for writing if it is free and no acquisition is waiting
+   *
+   * @returns A guard releasing the write lock, or `undefined`
+   */
+  tryAcquireWrite(): LockGuard | undefined;
+
+  readonly [Symbol.toStringTag]: string;
+}
+
+declare namespace RWLock {
+  export interface Constructor {
+    /**
+     * Creates a read/write lock
+     */
+    new (): RWLock;
+
+    readonly prototype: RWLock;
+  }
+}
+
+export declare const RWLock: RWLock.Constructor;
@@ -0,0 +1,259 @@
+import { symbolDispose } from "./symbols.js";
+
+/** @typedef {import("./locks.js").LockGuard} LockGuard */
+/** @typedef {import("./locks.js").AcquireOptions} AcquireOptions */
+/** @typedef {import("./locks.js").Semaphore.Constructor} SemaphoreConstructor */
+/** @typedef {import("./locks.js").Mutex.Constructor} MutexConstructor */
+/** @typedef {import("./locks.js").RWLock.Constructor} RWLockConstructor */
+
+/**
+ * @typedef {object} Waiter
+ * @property {'acquire' | 'read' | 'write'} kind
+ * @property {() => void} grant
+ */
+
+/**
+ * @param {() => void} release
+ * @returns {LockGuard}
+ */
+const createGuard = (release) => {
+  let released = false;
+  const releaseOnce = () => {
+    if (released) return;
+    released = true;
+    release();
+  };
+  return { release: releaseOnce, [symbolDispose]: releaseOnce };
+};
+
+/**
+ * Throws the abort reason if the signal of the acquisition is already aborted,
+ * so that it rejects even when the lock is free
+ *
+ * @param {AcquireOptions} [options]
+ */
+const throwIfAborted = (options) => {
+  const { signal } = options || {};
+  if (signal && signal.aborted) throw signal.reason;
+};
+
+/**
+ * Adds a waiter to the queue, resolving once granted, or rejecting with the
+ * abort reason if the signal is aborted first
+ *
+ * @param {Waiter[]} queue
+ * @param {Waiter['kind']} kind
+ * @param {AcquireOptions} [options]
+ * @param {() => void} [onCancel] Invoked after an aborted waiter is removed
+ * @returns {Promise<void>}
+ */
+const enqueue = (queue, kind, options, onCancel) => {
+  const { signal } = options || {};
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      const index = queue.indexOf(waiter);
+      if (index === -1) return;
+      queue.splice(index, 1);
+      reject(/** @type {AbortSignal} */ (signal).reason);
+      if (onCancel) onCancel();
+    };
+    /** @type {Waiter} */
+    const waiter = {
+      kind,
+      grant: () => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      },
+    };
+    queue.push(waiter);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+};
+
+export const Semaphore = /** @type {SemaphoreConstructor} */ (
+  class Semaphore {
+    /** @type {number} */
+    #available;
+
+    /** @type {Waiter[]} */
+    #queue = [];
+
+    constructor(permits = 1) {
+      if (!Number.isInteger(permits) || permits < 1) {
+        throw new RangeError("permits must be a positive integer");
+      }
+      this.#available = permits;
+    }
+
+    get available() {
+      return this.#available;
+    }
+
+    get pending() {
+      return this.#queue.length;
+    }
+
+    /**
+     * @param {AcquireOptions} [options]
+     */
+    async acquire(options) {
+      throwIfAborted(options);
+      const guard = this.tryAcquire();
+      if (guard) return guard;
+
+      await enqueue(this.#queue, "acquire", options);
+      return createGuard(() => this.#release());
+    }
+
+    tryAcquire() {
+      // Waiters are served first, in order
+      if (this.#available === 0 || this.#queue.length) return undefined;
+      this.#available--;
+      return createGuard(() => this.#release());
+    }
+
+    #release() {
+      const waiter = this.#queue.shift();
+      if (waiter) {
+        // The permit is handed over to the waiter
+        waiter.grant();
+      } else {
+        this.#available++;
+      }
+    }
+  }
+);
+
+export const Mutex = /** @type {MutexConstructor} */ (
+  class Mutex {
+    #semaphore = new Semaphore(1);
+
+    get locked() {
+      return this.#semaphore.available === 0;
+    }
+
+    get pending() {
+      return this.#semaphore.pending;
+    }
+
+    /**
+     * @param {AcquireOptions} [options]
+     */
+    acquire(options) {
+      return this.#semaphore.acquire(options);
+    }
+
+    tryAcquire() {
+      return this.#semaphore.tryAcquire();
+    }
+  }
+);
+
+export const RWLock = /** @type {RWLockConstructor} */ (
+  class RWLock {
+    #readers = 0;
+
+    #writing = false;
+
+    /** @type {Waiter[]} */
+    #queue = [];
+
+    get readers() {
+      return this.#readers;
+    }
+
+    get writing() {
+      return this.#writing;
+    }
+
+    get pending() {
+      return this.#queue.length;
+    }
+
+    /**
+     * @param {AcquireOptions} [options]
+     */
+    async acquireRead(options) {
+      throwIfAborted(options);
+      const guard = this.tryAcquireRead();
+      if (guard) return guard;
+
+      await enqueue(this.#queue, "read", options, () => this.#grantWaiters());
+      return createGuard(() => this.#releaseRead());
+    }
+
+    /**
+     * @param {AcquireOptions} [options]
+     */
+    async acquireWrite(options) {
+      throwIfAborted(options);
+      const guard = this.tryAcquireWrite();
+      if (guard) return guard;
+
+      await enqueue(this.#queue, "write", options, () => this.#grantWaiters());
+      return createGuard(() => this.#releaseWrite());
+    }
+
+    tryAcquireRead() {
+      // Readers do not overtake waiting writers
+      if (this.#writing || this.#queue.length) return undefined;
+      this.#readers++;
+      return createGuard(() => this.#releaseRead());
+    }
+
+    tryAcquireWrite() {
+      if (this.#writing || this.#readers || this.#queue.length) {
+        return undefined;
+      }
+      this.#writing = true;
+      return createGuard(() => this.#releaseWrite());
+    }
+
+    #releaseRead() {
+      this.#readers--;
+      this.#grantWaiters();
+    }
+
+    #releaseWrite() {
+      this.#writing = false;
+      this.#grantWaiters();
+    }
+
+    /**
+     * Grants the lock to the waiters at the head of the queue: a single
+     * writer, or all the readers before the next writer
+     */
+    #grantWaiters() {
+      while (this.#queue.length && !this.#writing) {
+        const waiter = /** @type {Waiter} */ (this.#queue[0]);
+        if (waiter.kind === "write") {
+          if (this.#readers) return;
+          this.#writing = true;
+        } else {
+          this.#readers++;
+        }
+        this.#queue.shift();
+        waiter.grant();
+      }
+    }
+  }
+);
+
+Object.defineProperty(Semaphore.prototype, Symbol.toStringTag, {
+  value: "Semaphore",
+  configurable: true,
+});
+
+Object.defineProperty(Mutex.prototype, Symbol.toStringTag, {
+  value: "Mutex",
+  configurable: true,
+});
+
+Object.defineProperty(RWLock.prototype, Symbol.toStringTag, {
+  value: "RWLock",
+  configurable: true,
+});
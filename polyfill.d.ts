@@ -16,6 +16,9 @@ declare global {
 
   var Disposable: typeof import("./index.js").Disposable;
   var AsyncDisposable: typeof import("./index.js").AsyncDisposable;
+  var DisposableStack: typeof import("./index.js").DisposableStack;
+  var AsyncDisposableStack: typeof import("./index.js").AsyncDisposableStack;
+  var SuppressedError: typeof import("./index.js").SuppressedError;
 }
 
 export {};
@@ -3,12 +3,48 @@ import {
   symbolAsyncDispose,
   Disposable,
   AsyncDisposable,
+  DisposableStack,
+  AsyncDisposableStack,
+  SuppressedError,
 } from "./index.js";
 import {
   AsyncIteratorPrototype,
   IteratorPrototype,
 } from "./iterator-prototypes.js";
 
+// Properties installed by the polyfill follow the attributes of the built-ins
+// they stand for: writable, configurable and non-enumerable.
+
+/**
+ * @param {object} target
+ * @param {PropertyKey} key
+ * @param {unknown} value
+ */
+const defineBuiltin = (target, key, value) => {
+  Object.defineProperty(target, key, {
+    value,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+};
+
+/**
+ * Spec GetMethod: `undefined` for a nullish property, throws if not callable
+ *
+ * @param {any} value
+ * @param {PropertyKey} key
+ * @returns {Function | undefined}
+ */
+const getMethod = (value, key) => {
+  const method = value[key];
+  if (method === undefined || method === null) return undefined;
+  if (typeof method !== "function") {
+    throw new TypeError(`${String(key)} is not a function`);
+  }
+  return method;
+};
+
 if (!("dispose" in Symbol)) {
   Object.defineProperty(Symbol, "dispose", { value: symbolDispose });
 }
@@ -17,32 +53,50 @@ if (!("asyncDispose" in Symbol)) {
   Object.defineProperty(Symbol, "asyncDispose", { value: symbolAsyncDispose });
 }
 
-if (typeof IteratorPrototype[symbolDispose] !== "function") {
-  Object.defineProperty(IteratorPrototype, symbolDispose, {
-    value() {
-      this.return != null && this.return();
-    },
-    enumerable: true,
-    configurable: true,
-    writable: true,
-  });
+if (!(symbolDispose in IteratorPrototype)) {
+  defineBuiltin(
+    IteratorPrototype,
+    symbolDispose,
+    /** @this {any} */
+    function () {
+      const returnMethod = getMethod(this, "return");
+      if (returnMethod) {
+        returnMethod.call(this);
+      }
+    }
+  );
 }
 
-if (typeof AsyncIteratorPrototype[symbolAsyncDispose] !== "function") {
-  Object.defineProperty(AsyncIteratorPrototype, symbolAsyncDispose, {
-    async value() {
-      await (this.return != null && this.return());
-    },
-    enumerable: true,
-    configurable: true,
-    writable: true,
-  });
+if (!(symbolAsyncDispose in AsyncIteratorPrototype)) {
+  defineBuiltin(
+    AsyncIteratorPrototype,
+    symbolAsyncDispose,
+    /** @this {any} */
+    async function () {
+      const returnMethod = getMethod(this, "return");
+      if (returnMethod) {
+        await returnMethod.call(this, undefined);
+      }
+    }
+  );
 }
 
 if (typeof globalThis.Disposable !== "function") {
-  globalThis.Disposable = Disposable;
+  defineBuiltin(globalThis, "Disposable", Disposable);
 }
 
 if (typeof globalThis.AsyncDisposable !== "function") {
-  globalThis.AsyncDisposable = AsyncDisposable;
+  defineBuiltin(globalThis, "AsyncDisposable", AsyncDisposable);
+}
+
+if (typeof globalThis.DisposableStack !== "function") {
+  defineBuiltin(globalThis, "DisposableStack", DisposableStack);
+}
+
+if (typeof globalThis.AsyncDisposableStack !== "function") {
+  defineBuiltin(globalThis, "AsyncDisposableStack", AsyncDisposableStack);
+}
+
+if (typeof globalThis.SuppressedError !== "function") {
+  defineBuiltin(globalThis, "SuppressedError", SuppressedError);
 }
@@ -0,0 +1,204 @@
+import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+import { Disposable } from "./disposable.js";
+import { AsyncDisposable } from "./async-disposable.js";
+
+/**
+ * A lease on an item of a `ResourcePool`, returning the item to the pool when
+ * disposed of
+ */
+export interface PoolLease<T> extends Disposable {
+  /**
+   * The leased item
+   */
+  readonly value: T;
+
+  /**
+   * Returns the item to the pool. Subsequent calls have no effect
+   */
+  release(): void;
+
+  [symbolDispose](): void;
+}
+
+/**
+ * A lease on an item of an `AsyncResourcePool`, returning the item to the
+ * pool when disposed of
+ */
+export interface AsyncPoolLease<T> extends AsyncDisposable {
+  /**
+   * The leased item
+   */
+  readonly value: T;
+
+  /**
+   * Returns the item to the pool. Subsequent calls have no effect
+   */
+  release(): Promise<void>;
+
+  [symbolAsyncDispose](): Promise<void>;
+}
+
+interface PoolState extends AsyncDisposable {
+  /**
+   * The number of items created by the pool, whether idle or leased
+   */
+  readonly size: number;
+
+  /**
+   * The number of idle items available for lease
+   */
+  readonly available: number;
+
+  /**
+   * The number of `acquire()` calls waiting for an item
+   */
+  readonly pending: number;
+
+  /**
+   * Whether the pool has been disposed of
+   */
+  readonly disposed: boolean;
+
+  /**
+   * Drains the pool: pending and future `acquire()` calls are rejected, idle
+   * items are destroyed, and leased items are destroyed when returned. The
+   * returned promise settles once all items have been destroyed, and rejects
+   * with any error thrown while destroying idle items. It therefore does not
+   * settle while leases are not released
+   */
+  [symbolAsyncDispose](): Promise<void>;
+  readonly [Symbol.toStringTag]: string;
+}
+
+/**
+ * A pool of items created and destroyed synchronously
+ */
+export interface ResourcePool<T> extends PoolState {
+  /**
+   * Leases an idle item, or a new item if the pool is not full. Otherwise
+   * waits for an item to be returned to the pool
+   */
+  acquire(): Promise<PoolLease<T>>;
+
+  /**
+   * Leases an idle item, or a new item if the pool is not full
+   *
+   * @returns The lease, or `undefined` if the pool is full
+   */
+  tryAcquire(): PoolLease<T> | undefined;
+}
+
+declare namespace ResourcePool {
+  export interface Options<T> {
+    /**
+     * Creates a new item
+     */
+    create: () => T;
+
+    /**
+     * Destroys an item evicted from the pool
+     */
+    destroy?: (item: T) => void;
+
+    /**
+     * Checks whether an item returned to the pool can be reused. Invalid
+     * items are destroyed
+     */
+    validate?: (item: T) => boolean;
+
+    /**
+     * The maximum number of items in the pool, idle or leased. Defaults to no
+     * limit
+     */
+    max?: number;
+
+    /**
+     * Time in milliseconds after which an idle item is destroyed. Defaults
+     * to keeping idle items
+     */
+    idleTimeout?: number;
+
+    /**
+     * Invoked with the errors thrown while destroying idle items after their
+     * `idleTimeout`, and the item. Defaults to reporting the error to the
+     * host as uncaught
+     */
+    onError?: (error: unknown, item: T) => void;
+  }
+
+  export interface Constructor {
+    /**
+     * Creates an empty pool
+     *
+     * @param options The item factory and the options of the pool
+     */
+    new <T>(options: Options<T>): ResourcePool<T>;
+
+    readonly prototype: ResourcePool<unknown>;
+  }
+}
+
+export declare const ResourcePool: ResourcePool.Constructor;
+
+/**
+ * A pool of items created, validated and destroyed asynchronously
+ */
+export interface AsyncResourcePool<T> extends PoolState {
+  /**
+   * Leases an idle item, or a new item if the pool is not full. Otherwise
+   * waits for an item to be returned to the pool
+   */
+  acquire(): Promise<AsyncPoolLease<T>>;
+}
+
+declare namespace AsyncResourcePool {
+  export interface Options<T> {
+    /**
+     * Creates a new item
+     */
+    create: () => T | PromiseLike<T>;
+
+    /**
+     * Destroys an item evicted from the pool
+     */
+    destroy?: (item: T) => void | PromiseLike<void>;
+
+    /**
+     * Checks whether an item returned to the pool can be reused. Invalid
+     * items are destroyed
+     */
+    validate?: (item: T) => boolean | PromiseLike<boolean>;
+
+    /**
+     * The maximum number of items in the pool, idle or leased. Defaults to no
+     * limit
+     */
+    max?: number;
+
+    /**
+     * Time in milliseconds after which an idle item is destroyed. Defaults
+     * to keeping idle items
+     */
+    idleTimeout?: number;
+
+    /**
+     * Invoked with the errors thrown while destroying idle items after their
+     * `idleTimeout`, and the item. Defaults to reporting the error to the
+     * host as uncaught
+     */
+    onError?: (error: unknown, item: T) => void;
+  }
+
+  export interface Constructor {
+    /**
+     * Creates an empty pool
+     *
+     * @param options The item factory and the options of the pool
+     */
+    new <T>(options: Options<T>): AsyncResourcePool<T>;
+
+    readonly prototype: AsyncResourcePool<unknown>;
+  }
+}
+
+export declare const AsyncResourcePool: AsyncResourcePool.Constructor;
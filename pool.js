@@ -0,0 +1,463 @@
+import { SuppressedError } from "./errors.js";
+import { reportError } from "./report-error.js";
+import { symbolDispose, symbolAsyncDispose } from "./symbols.js";
+
+/** @typedef {import("./pool.js").ResourcePool.Constructor} ResourcePoolConstructor */
+/** @typedef {import("./pool.js").AsyncResourcePool.Constructor} AsyncResourcePoolConstructor */
+/** @typedef {import("./pool.js").AsyncResourcePool.Options<any>} PoolOptions */
+/** @typedef {import("./pool.js").PoolLease<any>} PoolLease */
+/** @typedef {import("./pool.js").AsyncPoolLease<any>} AsyncPoolLease */
+
+/**
+ * @typedef {object} IdleItem
+ * @property {unknown} item
+ * @property {ReturnType<typeof setTimeout>} [timer] The idle eviction timer
+ */
+
+/**
+ * @typedef {object} Waiter
+ * @property {(lease: PoolLease | AsyncPoolLease) => void} resolve
+ * @property {(error: unknown) => void} reject
+ */
+
+/** @param {ReturnType<typeof setTimeout>} timer */
+const unrefTimer = (timer) => {
+  const { unref } = /** @type {{unref?: () => void}} */ (Object(timer));
+  // Idle items should not keep a Node process alive
+  if (typeof unref === "function") unref.call(timer);
+};
+
+/**
+ * The implementation shared by the sync and async pools. In sync mode the
+ * factory functions are invoked synchronously and leases are disposable,
+ * otherwise their results are awaited and leases are async disposable.
+ */
+class Pool {
+  /** @type {PoolOptions["create"]} */
+  #create;
+
+  /** @type {PoolOptions["destroy"]} */
+  #destroy;
+
+  /** @type {PoolOptions["validate"]} */
+  #validate;
+
+  /** @type {NonNullable<PoolOptions["onError"]>} */
+  #onError;
+
+  /** @type {number} */
+  #max;
+
+  /** @type {number | undefined} */
+  #idleTimeout;
+
+  /** @type {boolean} */
+  #sync;
+
+  /** @type {IdleItem[]} */
+  #idle = [];
+
+  /** @type {Waiter[]} */
+  #waiters = [];
+
+  /** Number of items created or being created, and not yet destroyed */
+  #size = 0;
+
+  /** @type {{promise: Promise<void>, resolve: () => void} | undefined} */
+  #drain = undefined;
+
+  /**
+   * @param {PoolOptions} options
+   * @param {boolean} sync
+   */
+  constructor(options, sync) {
+    const {
+      create,
+      destroy,
+      validate,
+      max = Infinity,
+      idleTimeout,
+      onError = reportError,
+    } = options || {};
+    if (typeof create !== "function") {
+      throw new TypeError("create is not a function");
+    }
+    if (destroy !== undefined && typeof destroy !== "function") {
+      throw new TypeError("destroy is not a function");
+    }
+    if (validate !== undefined && typeof validate !== "function") {
+      throw new TypeError("validate is not a function");
+    }
+    if (typeof onError !== "function") {
+      throw new TypeError("onError is not a function");
+    }
+    if (typeof max !== "number" || !(max >= 1)) {
+      throw new RangeError("max must be a number greater than 0");
+    }
+    if (
+      idleTimeout !== undefined &&
+      (typeof idleTimeout !== "number" || !(idleTimeout >= 0))
+    ) {
+      throw new RangeError("idleTimeout must be a non-negative number");
+    }
+    this.#create = create;
+    this.#destroy = destroy;
+    this.#validate = validate;
+    this.#onError = onError;
+    this.#max = max;
+    this.#idleTimeout = idleTimeout;
+    this.#sync = sync;
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  get available() {
+    return this.#idle.length;
+  }
+
+  get pending() {
+    return this.#waiters.length;
+  }
+
+  get disposed() {
+    return this.#drain !== undefined;
+  }
+
+  async acquire() {
+    this.#assertOpen();
+
+    const idle = this.#takeIdle();
+    if (idle) {
+      return this.#lease(idle.item);
+    } else if (this.#size < this.#max) {
+      return this.#lease(await this.#createItem());
+    }
+    return new Promise((resolve, reject) => {
+      this.#waiters.push({ resolve, reject });
+    });
+  }
+
+  tryAcquire() {
+    this.#assertOpen();
+
+    const idle = this.#takeIdle();
+    if (idle) {
+      return this.#lease(idle.item);
+    } else if (this.#size < this.#max) {
+      this.#size++;
+      let item;
+      try {
+        item = this.#create();
+      } catch (error) {
+        this.#size--;
+        this.#settle();
+        throw error;
+      }
+      return this.#lease(item);
+    }
+    return undefined;
+  }
+
+  async drain() {
+    if (this.#drain) {
+      return this.#drain.promise;
+    }
+    /** @type {() => void} */
+    let resolve = () => {};
+    /** @type {Promise<void>} */
+    const promise = new Promise((r) => (resolve = r));
+    this.#drain = { promise, resolve };
+
+    for (const { reject } of this.#waiters.splice(0)) {
+      reject(new ReferenceError("Pool is disposed"));
+    }
+
+    let hasError = false;
+    /** @type {unknown} */
+    let error;
+    for (const { item, timer } of this.#idle.splice(0)) {
+      clearTimeout(timer);
+      try {
+        await this.#discard(item);
+      } catch (err) {
+        error = hasError ? new SuppressedError(err, error) : err;
+        hasError = true;
+      }
+    }
+
+    this.#settle();
+    await promise;
+
+    if (hasError) {
+      throw error;
+    }
+  }
+
+  #assertOpen() {
+    if (this.#drain) {
+      throw new ReferenceError("Pool is disposed");
+    }
+  }
+
+  #takeIdle() {
+    const idle = this.#idle.pop();
+    if (idle) {
+      clearTimeout(idle.timer);
+    }
+    return idle;
+  }
+
+  async #createItem() {
+    this.#size++;
+    try {
+      return await this.#create();
+    } catch (error) {
+      this.#size--;
+      this.#settle();
+      throw error;
+    }
+  }
+
+  /**
+   * @param {unknown} item
+   * @returns {PoolLease | AsyncPoolLease}
+   */
+  #lease(item) {
+    let released = false;
+    if (this.#sync) {
+      const release = () => {
+        if (released) return;
+        released = true;
+        this.#releaseSync(item);
+      };
+      return { value: item, release, [symbolDispose]: release };
+    } else {
+      /** @type {Promise<void> | undefined} */
+      let release;
+      const releaseAsync = () => {
+        if (!release) {
+          released = true;
+          release = this.#releaseAsync(item);
+        }
+        return release;
+      };
+      return {
+        value: item,
+        release: releaseAsync,
+        [symbolAsyncDispose]: releaseAsync,
+      };
+    }
+  }
+
+  /** @param {unknown} item */
+  #releaseSync(item) {
+    let reuse = false;
+    try {
+      const validate = this.#validate;
+      reuse = !this.#drain && (!validate || !!validate(item));
+    } finally {
+      if (reuse) {
+        this.#recycle(item);
+      } else {
+        this.#discardSync(item);
+      }
+    }
+  }
+
+  /** @param {unknown} item */
+  async #releaseAsync(item) {
+    let reuse = false;
+    try {
+      const validate = this.#validate;
+      reuse = !this.#drain && (!validate || !!(await validate(item)));
+    } finally {
+      // The pool may have been drained while validating
+      if (reuse && !this.#drain) {
+        this.#recycle(item);
+      } else {
+        await this.#discard(item);
+      }
+    }
+  }
+
+  /**
+   * Hands the item to the next waiter, or keeps it as idle
+   *
+   * @param {unknown} item
+   */
+  #recycle(item) {
+    const waiter = this.#waiters.shift();
+    if (waiter) {
+      waiter.resolve(this.#lease(item));
+      return;
+    }
+
+    /** @type {IdleItem} */
+    const idle = { item };
+    const idleTimeout = this.#idleTimeout;
+    if (idleTimeout !== undefined) {
+      idle.timer = setTimeout(() => {
+        const index = this.#idle.indexOf(idle);
+        if (index === -1) return;
+        this.#idle.splice(index, 1);
+        if (this.#sync) {
+          try {
+            this.#discardSync(item);
+          } catch (error) {
+            this.#reportEvictionError(error, item);
+          }
+        } else {
+          this.#discard(item).catch((error) =>
+            this.#reportEvictionError(error, item)
+          );
+        }
+      }, idleTimeout);
+      unrefTimer(idle.timer);
+    }
+    this.#idle.push(idle);
+  }
+
+  /**
+   * Hands an error destroying an evicted idle item to the `onError` option,
+   * since no caller is waiting for the eviction
+   *
+   * @param {unknown} error
+   * @param {unknown} item
+   */
+  #reportEvictionError(error, item) {
+    try {
+      this.#onError(error, item);
+    } catch (callbackError) {
+      reportError(callbackError);
+    }
+  }
+
+  /** @param {unknown} item */
+  #discardSync(item) {
+    try {
+      if (this.#destroy) this.#destroy(item);
+    } finally {
+      this.#size--;
+      this.#settle();
+    }
+  }
+
+  /** @param {unknown} item */
+  async #discard(item) {
+    try {
+      if (this.#destroy) await this.#destroy(item);
+    } finally {
+      this.#size--;
+      this.#settle();
+    }
+  }
+
+  /**
+   * Creates items for the waiters when the pool is no longer full, or
+   * completes the drain of the pool once all items are destroyed
+   */
+  #settle() {
+    if (this.#drain) {
+      if (this.#size === 0) {
+        this.#drain.resolve();
+      }
+      return;
+    }
+    while (this.#waiters.length && this.#size < this.#max) {
+      const { resolve, reject } = /** @type {Waiter} */ (this.#waiters.shift());
+      this.#createItem().then((item) => resolve(this.#lease(item)), reject);
+    }
+  }
+}
+
+export const ResourcePool = /** @type {ResourcePoolConstructor} */ (
+  class ResourcePool {
+    /** @type {Pool} */
+    #pool;
+
+    /**
+     * @param {import("./pool.js").ResourcePool.Options<any>} options
+     */
+    constructor(options) {
+      this.#pool = new Pool(options, true);
+    }
+
+    get size() {
+      return this.#pool.size;
+    }
+
+    get available() {
+      return this.#pool.available;
+    }
+
+    get pending() {
+      return this.#pool.pending;
+    }
+
+    get disposed() {
+      return this.#pool.disposed;
+    }
+
+    acquire() {
+      return this.#pool.acquire();
+    }
+
+    tryAcquire() {
+      return this.#pool.tryAcquire();
+    }
+
+    [symbolAsyncDispose]() {
+      return this.#pool.drain();
+    }
+  }
+);
+
+export const AsyncResourcePool = /** @type {AsyncResourcePoolConstructor} */ (
+  class AsyncResourcePool {
+    /** @type {Pool} */
+    #pool;
+
+    /**
+     * @param {PoolOptions} options
+     */
+    constructor(options) {
+      this.#pool = new Pool(options, false);
+    }
+
+    get size() {
+      return this.#pool.size;
+    }
+
+    get available() {
+      return this.#pool.available;
+    }
+
+    get pending() {
+      return this.#pool.pending;
+    }
+
+    get disposed() {
+      return this.#pool.disposed;
+    }
+
+    acquire() {
+      return this.#pool.acquire();
+    }
+
+    [symbolAsyncDispose]() {
+      return this.#pool.drain();
+    }
+  }
+);
+
+Object.defineProperty(ResourcePool.prototype, Symbol.toStringTag, {
+  value: "ResourcePool",
+  configurable: true,
+});
+
+Object.defineProperty(AsyncResourcePool.prototype, Symbol.toStringTag, {
+  value: "AsyncResourcePool",
+  configurable: true,
+});
@@ -0,0 +1,10 @@
+/**
+ * Reports an error to the host as uncaught, without interrupting the caller
+ *
+ * @param {unknown} error
+ */
+export const reportError = (error) => {
+  queueMicrotask(() => {
+    throw error;
+  });
+};
@@ -1,4 +1,4 @@
 export const symbolDispose = Symbol.dispose || Symbol("Symbol.dispose");
 
 export const symbolAsyncDispose =
-  Symbol.dispose || Symbol("Symbol.asyncDispose");
+  Symbol.asyncDispose || Symbol("Symbol.asyncDispose");
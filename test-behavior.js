@@ -0,0 +1,788 @@
+// @ts-check
+
+// Behavior checks for the aggregates and helpers, run with
+// `node test-behavior.js`.
+
+// @ts-ignore
+import { channel } from "node:diagnostics_channel";
+// @ts-ignore
+import { EventEmitter } from "node:events";
+// @ts-ignore
+import { createRequire } from "node:module";
+// @ts-ignore
+import { setFlagsFromString } from "node:v8";
+// @ts-ignore
+import { runInNewContext } from "node:vm";
+import {
+  Disposable,
+  AsyncDisposable,
+  ResourcePool,
+  AsyncResourcePool,
+  DisposalError,
+  DisposalTimeoutError,
+  Mutex,
+  RWLock,
+  Semaphore,
+  enableLeakDetection,
+  disableLeakDetection,
+  channelNames,
+  currentScope,
+  SuppressedError,
+  symbolDispose,
+  symbolAsyncDispose,
+} from "./index.js";
+import {
+  assert,
+  assertAllPassed,
+  assertIs,
+  assertRejects,
+  assertThrows,
+  check,
+} from "./test-helpers.js";
+
+/** @typedef {import("./leak-detection.js").LeakReport} LeakReport */
+/** @typedef {import("./locks.js").LockGuard} LockGuard */
+
+const hang = () => new Promise(() => {});
+
+/** @param {number} ms */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+setFlagsFromString("--expose-gc");
+const gc = /** @type {() => void} */ (runInNewContext("gc"));
+
+await check("early exits of a block are failures", () => {
+  /** @type {string[]} */
+  const log = [];
+  for (const { using } of Disposable) {
+    using.onSuccess(() => log.push("success"));
+    using.onFailure((error) => log.push(`failure ${error}`));
+    break;
+  }
+  assertIs(log.join(), "failure undefined", "break");
+
+  log.length = 0;
+  Disposable.scoped((using) => {
+    using.onSuccess(() => log.push("success"));
+    using.onFailure(() => log.push("failure"));
+    if (!log.length) return;
+    log.push("not reached");
+  })();
+  assertIs(log.join(), "success", "scoped early return");
+});
+
+await check("Disposable dependsOn", () => {
+  /** @type {string[]} */
+  const log = [];
+  const res = new Disposable();
+  const db = { [symbolDispose]: () => log.push("db") };
+  res.using(() => log.push("cache"), { label: "cache", dependsOn: [db] });
+  res.using(db, "db");
+  res.using(() => log.push("last"), "last");
+  assertIs(
+    [...res.resources()].map(({ label }) => label).join(),
+    "last,cache,db",
+    "resources order"
+  );
+  res[symbolDispose]();
+  assertIs(log.join(), "last,cache,db", "disposal order");
+  assertThrows(
+    () => new Disposable().using(db, /** @type {any} */ ({ dependsOn: db })),
+    TypeError,
+    "dependsOn not an array"
+  );
+});
+
+await check("AsyncDisposable dependsOn", async () => {
+  /** @type {string[]} */
+  const log = [];
+  const res = new AsyncDisposable();
+  const pool = {
+    [symbolAsyncDispose]: async () => {
+      log.push("pool");
+    },
+  };
+  res.using(
+    async () => {
+      log.push("connection 1");
+    },
+    { group: "connections", dependsOn: [pool] }
+  );
+  res.using(
+    async () => {
+      log.push("connection 2");
+    },
+    { group: "connections" }
+  );
+  res.using(pool);
+  await res[symbolAsyncDispose]();
+  assertIs(log.join(), "connection 2,connection 1,pool", "disposal order");
+});
+
+await check("dependsOn chains and resources added while disposing", () => {
+  /** @type {string[]} */
+  const log = [];
+  const res = new Disposable();
+  const a = () => log.push("a");
+  const b = () => log.push("b");
+  const c = () => log.push("c");
+  const d = () => log.push("d");
+  res.using(c, { dependsOn: [b] });
+  res.using(b, { dependsOn: [a] });
+  res.using(a);
+  res.using(() => {
+    log.push("first");
+    res.using(() => log.push("added"), { dependsOn: [d] });
+    res.using(d);
+  });
+  res[symbolDispose]();
+  assertIs(log.join(), "first,added,d,c,b,a", "disposal order");
+});
+
+await check("dependsOn cycles fall back to reverse order", () => {
+  /** @type {string[]} */
+  const log = [];
+  const res = new Disposable();
+  const a = () => log.push("a");
+  const b = () => log.push("b");
+  res.using(a, { dependsOn: [b] });
+  res.using(b, { dependsOn: [a] });
+  res[symbolDispose]();
+  assertIs(log.join(), "b,a", "disposal order");
+});
+
+await check("group members have their own DisposalError index", async () => {
+  /** @type {DisposalError[]} */
+  const reported = [];
+  const res = new AsyncDisposable();
+  res.using.errorPolicy("report", (error) => reported.push(error));
+  /** @param {string} message */
+  const fail = (message) => async () => {
+    throw new Error(message);
+  };
+  res.using(async () => {}, "first");
+  res.using(fail("a"), { group: "g", label: "a" });
+  res.using(async () => {}, { group: "g", label: "b" });
+  res.using(fail("c"), { group: "g", label: "c" });
+  await res[symbolAsyncDispose]();
+  assert(
+    reported.every((error) => error instanceof DisposalError),
+    "DisposalError"
+  );
+  assertIs(
+    reported
+      .map(({ label, index }) => `${label}@${index}`)
+      .sort()
+      .join(),
+    "a@1,c@3",
+    "labels and indexes"
+  );
+  const [error] = reported;
+  assert(error instanceof Error, "Error");
+  assertIs(
+    /** @type {Error} */ (error.cause).message,
+    /** @type {string} */ (error.label),
+    "cause"
+  );
+  assert(!Object.keys(error).includes("cause"), "cause is not enumerable");
+});
+
+await check("errorPolicy throws once disposed", async () => {
+  const res = new Disposable();
+  res[symbolDispose]();
+  assertThrows(
+    () => res.using.errorPolicy("first"),
+    ReferenceError,
+    "Disposable"
+  );
+  const asyncRes = new AsyncDisposable();
+  await asyncRes[symbolAsyncDispose]();
+  assertThrows(
+    () => asyncRes.using.errorPolicy("first"),
+    ReferenceError,
+    "AsyncDisposable"
+  );
+});
+
+await check("AsyncDisposable timeout option", async () => {
+  /** @type {string[]} */
+  const log = [];
+  const first = async () => {
+    log.push("first");
+  };
+  const res = new AsyncDisposable(first, hang, { timeout: 10 });
+  assertIs(res.size, 2, "options are not tracked");
+  await assertRejects(
+    () => res[symbolAsyncDispose](),
+    DisposalTimeoutError,
+    "constructor timeout"
+  );
+  assertIs(log.join(), "first", "remaining resources disposed of");
+
+  const from = await AsyncDisposable.from([hang], { timeout: 10 });
+  await assertRejects(
+    () => from[symbolAsyncDispose](),
+    DisposalTimeoutError,
+    "from timeout"
+  );
+
+  assertThrows(
+    () => new AsyncDisposable({ timeout: -1 }),
+    RangeError,
+    "invalid constructor timeout"
+  );
+  await assertRejects(
+    () => AsyncDisposable.from([], { timeout: NaN }),
+    RangeError,
+    "invalid from timeout"
+  );
+  assertIs(
+    new AsyncDisposable({ [symbolAsyncDispose]: async () => {} }).size,
+    1,
+    "resources are not options"
+  );
+  /** @type {any[]} */
+  const invalid = [{}, { timout: 10 }, { timeout: 10, signal: null }];
+  for (const value of invalid) {
+    assertThrows(
+      () => new AsyncDisposable(value),
+      TypeError,
+      `invalid options ${Object.keys(value)}`
+    );
+    assertThrows(
+      () => new Disposable(value),
+      TypeError,
+      `invalid sync resource ${Object.keys(value)}`
+    );
+  }
+});
+
+await check("listen subscribes to EventEmitter events", () => {
+  /** @type {string[]} */
+  const log = [];
+  const emitter = new EventEmitter();
+  const res = new Disposable();
+  res.using.listen(emitter, "ping", (/** @type {string} */ value) =>
+    log.push(`ping ${value}`)
+  );
+  res.using.listen(emitter, "pong", () => log.push("pong"), { once: true });
+  emitter.emit("ping", 1);
+  emitter.emit("ping", 2);
+  emitter.emit("pong");
+  emitter.emit("pong");
+  assertIs(log.join(), "ping 1,ping 2,pong", "events received");
+
+  res.using.listen(emitter, "pong", () => log.push("late pong"), {
+    once: true,
+  });
+  res[symbolDispose]();
+  assertIs(
+    emitter.listenerCount("ping") + emitter.listenerCount("pong"),
+    0,
+    "listeners removed"
+  );
+  emitter.emit("ping", 3);
+  emitter.emit("pong");
+  assertIs(log.join(), "ping 1,ping 2,pong", "no events after disposal");
+
+  assertThrows(
+    () =>
+      new Disposable().using.listen(/** @type {any} */ ({}), "ping", () => {}),
+    TypeError,
+    "invalid target"
+  );
+});
+
+await check("scope-bound timers", async () => {
+  /** @type {string[]} */
+  const log = [];
+  const res = new Disposable();
+  for (let i = 0; i < 5; i++) {
+    res.using.timeout(
+      (/** @type {number} */ n) => log.push(`timeout ${n}`),
+      0,
+      i
+    );
+  }
+  res.using.immediate(
+    (/** @type {string} */ value) => log.push(value),
+    "immediate"
+  );
+  res.using.interval(() => log.push("interval"), 1);
+  assertIs(res.size, 7, "tracked timers");
+  await sleep(20);
+  assert(log.includes("timeout 4"), "timeouts fired");
+  assert(log.includes("immediate"), "immediate fired");
+  assert(log.includes("interval"), "interval fired");
+  assertIs(res.size, 1, "fired timers untracked");
+  assertIs(
+    [...res.resources()].map(({ label }) => label).join(),
+    "interval",
+    "remaining timer"
+  );
+
+  res.using.timeout(() => log.push("cancelled timeout"), 0);
+  res.using.immediate(() => log.push("cancelled immediate"));
+  res[symbolDispose]();
+  log.length = 0;
+  await sleep(20);
+  assertIs(log.join(), "", "timers cleared on disposal");
+
+  const asyncRes = new AsyncDisposable();
+  asyncRes.using.timeout(() => log.push("async timeout"), 0);
+  asyncRes.using.immediate(() => log.push("async immediate"));
+  await sleep(10);
+  assertIs(
+    log.sort().join(),
+    "async immediate,async timeout",
+    "async timers fired"
+  );
+  assertIs(asyncRes.size, 0, "async fired timers untracked");
+});
+
+await check("leak reports start at the caller's frame", async () => {
+  /** @type {LeakReport[]} */
+  const reports = [];
+  enableLeakDetection((report) => reports.push(report));
+  try {
+    (() => {
+      const resource = { [symbolDispose]() {} };
+      new Disposable(resource);
+      Disposable.from([resource]);
+      new AsyncDisposable(resource);
+    })();
+    for (let i = 0; i < 10 && reports.length < 3; i++) {
+      gc();
+      await sleep(10);
+    }
+  } finally {
+    disableLeakDetection();
+  }
+  assertIs(reports.length, 3, "reports");
+  for (const { constructionStack } of reports) {
+    const [, frame = ""] = constructionStack.split("\n");
+    assert(frame.includes(import.meta.url), `first frame ${frame}`);
+  }
+});
+
+await check("leak reports record using at the caller's frame", async () => {
+  /** @type {LeakReport[]} */
+  const reports = [];
+  enableLeakDetection((report) => reports.push(report));
+  try {
+    (() => {
+      const resource = { [symbolDispose]() {} };
+      const res = new Disposable(resource);
+      const { using } = res;
+      res.using(resource);
+      using(resource);
+      using(() => {});
+      using.listen(new EventTarget(), "ping", () => {});
+      using.onSuccess(() => {});
+      res.fork();
+      Disposable.from([resource]).using(resource);
+      new AsyncDisposable().using(resource);
+    })();
+    for (let i = 0; i < 10 && reports.length < 3; i++) {
+      gc();
+      await sleep(10);
+    }
+  } finally {
+    disableLeakDetection();
+  }
+  const usingStacks = reports.flatMap((report) => report.usingStacks);
+  assertIs(usingStacks.length, 9, "using stacks");
+  for (const stack of usingStacks) {
+    const [, frame = ""] = stack.split("\n");
+    assert(frame.includes(import.meta.url), `first frame ${frame}`);
+  }
+});
+
+await check("events are published on diagnostics channels", () => {
+  /** @type {unknown[]} */
+  const messages = [];
+  /** @param {unknown} message */
+  const onMessage = (message) => messages.push(message);
+  const resourceAdded = channel(channelNames.resourceAdded);
+  resourceAdded.subscribe(onMessage);
+  try {
+    new Disposable().using(() => {}, "resource");
+  } finally {
+    resourceAdded.unsubscribe(onMessage);
+  }
+  assertIs(messages.length, 1, "messages");
+});
+
+await check(
+  "usingFrom closes and drains the source on early exit",
+  async () => {
+    for (const { prefetch, drained, thrown } of [
+      { prefetch: 0, drained: "a,b,c,d", thrown: "a" },
+      // prefetched resources are disposed of in reverse order of acquisition
+      { prefetch: 2, drained: "a,d,c,b", thrown: "c,b,a" },
+    ]) {
+      /** @type {string[]} */
+      const log = [];
+      const source = async function* () {
+        try {
+          for (const name of ["a", "b", "c", "d"]) yield name;
+        } finally {
+          log.push("closed");
+        }
+      };
+      /** @param {string} name */
+      const toResource = (name) => () => {
+        log.push(name);
+      };
+      for await (const name of AsyncDisposable.usingFrom(source(), toResource, {
+        prefetch,
+        mode: "drain",
+      })) {
+        if (name === "b") break;
+      }
+      assertIs(
+        log.join(),
+        `${drained},closed`,
+        `drained with prefetch ${prefetch}`
+      );
+
+      log.length = 0;
+      await assertRejects(
+        async () => {
+          for await (const name of AsyncDisposable.usingFrom(
+            source(),
+            toResource,
+            { prefetch }
+          )) {
+            throw new Error(name);
+          }
+        },
+        Error,
+        "block error"
+      );
+      assertIs(
+        log.join(),
+        `${thrown},closed`,
+        `closed with prefetch ${prefetch}`
+      );
+    }
+  }
+);
+
+await check("async bridging helpers reject after disposal", async () => {
+  const parent = new AsyncDisposable();
+  const res = new Disposable();
+  res[symbolDispose]();
+  assertThrows(
+    () => res.using.forwardAsync(parent),
+    ReferenceError,
+    "forwardAsync on a disposed aggregate"
+  );
+  assertThrows(
+    () => res.using.trackAsync(),
+    ReferenceError,
+    "trackAsync on a disposed aggregate"
+  );
+  await parent[symbolAsyncDispose]();
+  assertThrows(
+    () => new Disposable().using.forwardAsync(parent),
+    ReferenceError,
+    "forwardAsync to a disposed parent"
+  );
+});
+
+await check("resources added once drained are not leaked", async () => {
+  /**
+   * @param {number} ticks
+   * @param {() => unknown} callback
+   * @returns {Promise<unknown>}
+   */
+  const afterTicks = async (ticks, callback) => {
+    for (let i = 0; i < ticks; i++) await undefined;
+    return callback();
+  };
+
+  for (let ticks = 0; ticks < 8; ticks++) {
+    /** @type {string[]} */
+    const log = [];
+    /** @type {Promise<unknown>} */
+    let late = Promise.resolve();
+    const res = new AsyncDisposable();
+    res.using(() => {
+      late = afterTicks(ticks, () =>
+        res.using(() => {
+          log.push("late");
+        })
+      );
+    });
+    await res[symbolAsyncDispose]();
+    // The resource is either disposed of in the same pass, or rejected
+    const rejected = await late.then(
+      () => false,
+      (error) => error instanceof ReferenceError
+    );
+    assert(rejected || log.join() === "late", `leaked after ${ticks} ticks`);
+    if (!ticks) assert(!rejected, "using from the last dispose callback");
+  }
+});
+
+await check("task failures cancel and fail the block", async () => {
+  const taskError = new Error("task");
+  const blockError = new Error("block");
+
+  /** @type {unknown} */
+  let error;
+  try {
+    await AsyncDisposable.scoped(async (using) => {
+      await using.spawn(async () => {
+        throw taskError;
+      });
+    })();
+  } catch (err) {
+    error = err;
+  }
+  assertIs(error, taskError, "task failure");
+
+  error = undefined;
+  try {
+    await AsyncDisposable.scoped(async (using) => {
+      using.spawn(async () => {
+        throw taskError;
+      });
+      await sleep(0);
+      throw blockError;
+    })();
+  } catch (err) {
+    error = err;
+  }
+  assert(error instanceof SuppressedError, "SuppressedError");
+  const suppressed = /** @type {SuppressedError} */ (error);
+  assertIs(suppressed.error, taskError, "suppressing error");
+  assertIs(suppressed.suppressed, blockError, "suppressed error");
+
+  await assertRejects(
+    async () => {
+      for await (const { using, signal } of AsyncDisposable) {
+        using.spawn(async () => {
+          throw taskError;
+        });
+        await new Promise((_, reject) => {
+          signal.addEventListener("abort", () =>
+            reject(/** @type {any} */ (signal).reason)
+          );
+        });
+      }
+    },
+    Error,
+    "block cancelled"
+  );
+
+  const res = new AsyncDisposable();
+  await res.using
+    .spawn(async () => {
+      throw taskError;
+    })
+    .catch(() => {});
+  assertIs(
+    /** @type {any} */ (res.signal).reason,
+    taskError,
+    "signal created after the failure"
+  );
+  await assertRejects(
+    () => res[symbolAsyncDispose](),
+    Error,
+    "disposal throws the failure"
+  );
+});
+
+await check("pool idle eviction errors are reported", async () => {
+  const failure = new Error("destroy");
+  /** @type {unknown[]} */
+  const reported = [];
+  const pool = new ResourcePool({
+    create: () => "sync item",
+    destroy: () => {
+      throw failure;
+    },
+    idleTimeout: 0,
+    onError: (error, item) => reported.push(error, item),
+  });
+  (await pool.acquire()).release();
+  const asyncPool = new AsyncResourcePool({
+    create: async () => "async item",
+    destroy: async () => {
+      throw failure;
+    },
+    idleTimeout: 0,
+    onError: (error, item) => reported.push(error, item),
+  });
+  await (await asyncPool.acquire()).release();
+
+  await sleep(20);
+  assertIs(reported[0], failure, "onError error");
+  assertIs(reported[1], "sync item", "onError item");
+  assertIs(reported[2], failure, "async onError error");
+  assertIs(reported[3], "async item", "async onError item");
+  assertIs(pool.size + asyncPool.size, 0, "items evicted");
+  assertThrows(
+    () =>
+      new ResourcePool({
+        create: () => {},
+        onError: /** @type {any} */ (1),
+      }),
+    TypeError,
+    "invalid onError"
+  );
+});
+
+await check("Mutex grants the lock in FIFO order", async () => {
+  /** @type {string[]} */
+  const log = [];
+  const mutex = new Mutex();
+  const first = await mutex.acquire();
+  assert(mutex.locked, "locked");
+  assertIs(mutex.tryAcquire(), undefined, "tryAcquire while locked");
+  const waiters = ["b", "c"].map((name) =>
+    mutex.acquire().then((guard) => {
+      log.push(name);
+      guard.release();
+    })
+  );
+  assertIs(mutex.pending, 2, "pending");
+  log.push("a");
+  first.release();
+  first.release();
+  await Promise.all(waiters);
+  assertIs(log.join(), "a,b,c", "order");
+  assert(!mutex.locked, "unlocked");
+
+  const guard = mutex.tryAcquire();
+  assert(guard !== undefined, "tryAcquire when free");
+  /** @type {LockGuard} */ (guard)[symbolDispose]();
+  assert(!mutex.locked, "released by dispose");
+});
+
+await check("lock acquisitions can be aborted while queued", async () => {
+  const mutex = new Mutex();
+  const held = await mutex.acquire();
+  const controller = new AbortController();
+  const reason = new Error("aborted");
+  const aborted = mutex.acquire({ signal: controller.signal });
+  const next = mutex.acquire();
+  /** @type {any} */ (controller).abort(reason);
+  assertIs(await aborted.catch((error) => error), reason, "abort reason");
+  assertIs(mutex.pending, 1, "aborted acquisition dequeued");
+  held.release();
+  (await next).release();
+  assert(!mutex.locked, "lock granted to the next waiter");
+
+  await assertRejects(
+    () => mutex.acquire({ signal: controller.signal }),
+    Error,
+    "already aborted signal"
+  );
+  assert(!mutex.locked, "not acquired with an aborted signal");
+
+  const lock = new RWLock();
+  await assertRejects(
+    () => lock.acquireRead({ signal: controller.signal }),
+    Error,
+    "already aborted read"
+  );
+  await assertRejects(
+    () => lock.acquireWrite({ signal: controller.signal }),
+    Error,
+    "already aborted write"
+  );
+  assert(!lock.writing && lock.readers === 0, "RWLock not acquired");
+});
+
+await check("Semaphore counts its permits", async () => {
+  const semaphore = new Semaphore(2);
+  const a = await semaphore.acquire();
+  const b = semaphore.tryAcquire();
+  assertIs(semaphore.available, 0, "available");
+  assertIs(semaphore.tryAcquire(), undefined, "tryAcquire without permit");
+  let granted = false;
+  const c = semaphore.acquire().then((guard) => {
+    granted = true;
+    return guard;
+  });
+  a.release();
+  assertIs(semaphore.tryAcquire(), undefined, "tryAcquire behind a waiter");
+  (await c).release();
+  assert(granted, "waiter granted");
+  /** @type {LockGuard} */ (b).release();
+  assertIs(semaphore.available, 2, "permits released");
+  assertThrows(() => new Semaphore(0), RangeError, "invalid permits");
+});
+
+await check("RWLock prefers waiting writers", async () => {
+  /** @type {string[]} */
+  const log = [];
+  const lock = new RWLock();
+  const first = await lock.acquireRead();
+  const second = await lock.acquireRead();
+  assertIs(lock.readers, 2, "concurrent readers");
+  const writer = lock.acquireWrite().then((guard) => {
+    log.push("write");
+    return guard;
+  });
+  assertIs(lock.tryAcquireRead(), undefined, "tryAcquireRead behind a writer");
+  const reader = lock.acquireRead().then((guard) => {
+    log.push("read");
+    return guard;
+  });
+  first.release();
+  second.release();
+  const writeGuard = await writer;
+  assert(lock.writing, "writing");
+  assertIs(lock.tryAcquireWrite(), undefined, "tryAcquireWrite while held");
+  writeGuard.release();
+  (await reader).release();
+  assertIs(log.join(), "write,read", "order");
+  assert(!lock.writing && lock.readers === 0, "released");
+});
+
+await check("lock guards are released by using", async () => {
+  const mutex = new Mutex();
+  const lock = new RWLock();
+  for await (const { using } of AsyncDisposable) {
+    using(await mutex.acquire());
+    using(await lock.acquireWrite());
+    assert(mutex.locked && lock.writing, "held in the block");
+  }
+  assert(!mutex.locked && !lock.writing, "released after the block");
+});
+
+await check(
+  "concurrent async blocks have their own current scope",
+  async () => {
+    /**
+     * @param {string} name
+     * @param {number} delay
+     */
+    const run = async (name, delay) => {
+      for await (const { using } of AsyncDisposable) {
+        using(() => {});
+        const scope = currentScope();
+        await sleep(delay);
+        assertIs(currentScope(), scope, `${name} after the first await`);
+        await sleep(delay);
+        assertIs(currentScope(), scope, `${name} after the second await`);
+      }
+    };
+    await Promise.all([run("a", 10), run("b", 1), run("c", 5)]);
+    assertThrows(() => currentScope(), ReferenceError, "no current scope");
+  }
+);
+
+// Hosts loading ES modules with `require()` reject modules using top-level await
+if (/** @type {any} */ (globalThis).process.features.require_module) {
+  await check("the package can be loaded with require()", () => {
+    const require = createRequire(import.meta.url);
+    assertIs(require("./index.js").Disposable, Disposable, "Disposable");
+  });
+}
+
+assertAllPassed("behavior");
@@ -0,0 +1,82 @@
+// @ts-check
+
+// Assertion helpers shared by the checks run with `node test-*.js`.
+
+let failures = 0;
+
+/**
+ * @param {string} name
+ * @param {() => void | Promise<void>} fn
+ */
+export const check = async (name, fn) => {
+  try {
+    await fn();
+    console.log(`ok - ${name}`);
+  } catch (err) {
+    failures++;
+    console.log(`not ok - ${name}`);
+    console.log(err);
+  }
+};
+
+/**
+ * Throws if any check failed, once all of them have run
+ *
+ * @param {string} kind
+ */
+export const assertAllPassed = (kind) => {
+  if (failures) {
+    throw new Error(`${failures} ${kind} check(s) failed`);
+  }
+};
+
+/**
+ * @param {unknown} condition
+ * @param {string} message
+ * @returns {asserts condition}
+ */
+export const assert = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+/**
+ * @param {unknown} actual
+ * @param {unknown} expected
+ * @param {string} message
+ */
+export const assertIs = (actual, expected, message) => {
+  assert(
+    Object.is(actual, expected),
+    `${message}: expected ${String(expected)}, got ${String(actual)}`
+  );
+};
+
+/**
+ * @param {() => unknown} fn
+ * @param {Function} ErrorType
+ * @param {string} message
+ */
+export const assertThrows = (fn, ErrorType, message) => {
+  try {
+    fn();
+  } catch (err) {
+    assert(err instanceof ErrorType, `${message}: wrong error ${err}`);
+    return;
+  }
+  throw new Error(`${message}: did not throw`);
+};
+
+/**
+ * @param {() => Promise<unknown>} fn
+ * @param {Function} ErrorType
+ * @param {string} message
+ */
+export const assertRejects = async (fn, ErrorType, message) => {
+  try {
+    await fn();
+  } catch (err) {
+    assert(err instanceof ErrorType, `${message}: wrong error ${err}`);
+    return;
+  }
+  throw new Error(`${message}: did not reject`);
+};
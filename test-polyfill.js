@@ -0,0 +1,242 @@
+// @ts-check
+
+// Conformance checks for the polyfill, run with `node test-polyfill.js`.
+// They follow the explicit resource management proposal, and pass whether the
+// globals are provided natively or installed by the polyfill.
+
+import "./polyfill.js";
+import {
+  symbolDispose,
+  symbolAsyncDispose,
+  DisposableStack as ExportedDisposableStack,
+  AsyncDisposableStack as ExportedAsyncDisposableStack,
+  SuppressedError as ExportedSuppressedError,
+} from "./index.js";
+import {
+  assert,
+  assertAllPassed,
+  assertIs,
+  assertRejects,
+  assertThrows,
+  check,
+} from "./test-helpers.js";
+
+/**
+ * @param {object} target
+ * @param {PropertyKey} key
+ * @param {string} message
+ */
+const assertBuiltinProperty = (target, key, message) => {
+  const descriptor = Object.getOwnPropertyDescriptor(target, key);
+  assert(descriptor, `${message}: missing`);
+  assert(typeof descriptor.value === "function", `${message}: not a function`);
+  assert(!descriptor.enumerable, `${message}: enumerable`);
+  assert(descriptor.writable, `${message}: not writable`);
+  assert(descriptor.configurable, `${message}: not configurable`);
+};
+
+const IteratorPrototype = Object.getPrototypeOf(
+  Object.getPrototypeOf([][Symbol.iterator]())
+);
+const AsyncIteratorPrototype = Object.getPrototypeOf(
+  Object.getPrototypeOf(async function* () {}).prototype
+);
+
+await check("well-known symbols", () => {
+  assertIs(typeof Symbol.dispose, "symbol", "Symbol.dispose");
+  assertIs(typeof Symbol.asyncDispose, "symbol", "Symbol.asyncDispose");
+  assertIs(symbolDispose, Symbol.dispose, "exported symbolDispose");
+  assertIs(symbolAsyncDispose, Symbol.asyncDispose, "symbolAsyncDispose");
+  assert(
+    /** @type {symbol} */ (Symbol.dispose) !== Symbol.asyncDispose,
+    "symbols are distinct"
+  );
+  const descriptor = Object.getOwnPropertyDescriptor(Symbol, "dispose");
+  assert(descriptor && !descriptor.writable, "Symbol.dispose is writable");
+  assert(!descriptor.configurable, "Symbol.dispose is configurable");
+});
+
+await check("globals defer to the exports", () => {
+  assertIs(globalThis.DisposableStack, ExportedDisposableStack, "stack");
+  assertIs(
+    globalThis.AsyncDisposableStack,
+    ExportedAsyncDisposableStack,
+    "async stack"
+  );
+  assertIs(globalThis.SuppressedError, ExportedSuppressedError, "error");
+  for (const name of [
+    "DisposableStack",
+    "AsyncDisposableStack",
+    "SuppressedError",
+  ]) {
+    assertBuiltinProperty(globalThis, name, name);
+  }
+});
+
+await check("%IteratorPrototype%[@@dispose]", () => {
+  assertBuiltinProperty(IteratorPrototype, Symbol.dispose, "method");
+  let finalized = false;
+  const iter = (function* () {
+    try {
+      yield;
+    } finally {
+      finalized = true;
+    }
+  })();
+  iter.next();
+  assertIs(iter[Symbol.dispose](), undefined, "result");
+  assert(finalized, "generator not returned");
+  const plain = Object.create(IteratorPrototype);
+  plain[Symbol.dispose]();
+  plain.return = 1;
+  assertThrows(() => plain[Symbol.dispose](), TypeError, "bad return");
+});
+
+await check("%AsyncIteratorPrototype%[@@asyncDispose]", async () => {
+  assertBuiltinProperty(AsyncIteratorPrototype, Symbol.asyncDispose, "method");
+  let finalized = false;
+  const iter = (async function* () {
+    try {
+      yield;
+    } finally {
+      finalized = true;
+    }
+  })();
+  await iter.next();
+  const result = iter[Symbol.asyncDispose]();
+  assert(result instanceof Promise, "result is not a promise");
+  assertIs(await result, undefined, "result");
+  assert(finalized, "generator not returned");
+  const plain = Object.create(AsyncIteratorPrototype);
+  plain.return = 1;
+  await assertRejects(
+    () => plain[Symbol.asyncDispose](),
+    TypeError,
+    "bad return"
+  );
+});
+
+await check("DisposableStack", () => {
+  assertIs(
+    DisposableStack.prototype[Symbol.dispose],
+    DisposableStack.prototype.dispose,
+    "@@dispose"
+  );
+  assertIs(
+    Object.prototype.toString.call(new DisposableStack()),
+    "[object DisposableStack]",
+    "@@toStringTag"
+  );
+  /** @type {string[]} */
+  const log = [];
+  const stack = new DisposableStack();
+  const resource = { [Symbol.dispose]: () => log.push("use") };
+  assertIs(stack.use(resource), resource, "use result");
+  assertIs(stack.use(null), null, "use null");
+  assertIs(stack.use(undefined), undefined, "use undefined");
+  assertThrows(() => stack.use(/** @type {any} */ ({})), TypeError, "use {}");
+  stack.adopt("value", (value) => log.push(`adopt ${value}`));
+  stack.defer(() => log.push("defer"));
+  assertThrows(
+    () => stack.defer(/** @type {any} */ (1)),
+    TypeError,
+    "defer non-callable"
+  );
+  const moved = stack.move();
+  assert(stack.disposed, "moved stack not disposed");
+  assert(!moved.disposed, "new stack disposed");
+  assertIs(stack.dispose(), undefined, "dispose after move");
+  moved.dispose();
+  assertIs(log.join(), "defer,adopt value,use", "disposal order");
+  moved.dispose();
+  assertIs(log.length, 3, "dispose is idempotent");
+  assertThrows(() => moved.use(resource), ReferenceError, "use after");
+  assertThrows(() => moved.defer(() => {}), ReferenceError, "defer after");
+  assertThrows(() => moved.move(), ReferenceError, "move after");
+});
+
+await check("DisposableStack errors", () => {
+  const first = new Error("first");
+  const second = new Error("second");
+  const stack = new DisposableStack();
+  stack.defer(() => {
+    throw first;
+  });
+  stack.defer(() => {
+    throw second;
+  });
+  try {
+    stack.dispose();
+  } catch (err) {
+    assert(err instanceof SuppressedError, "not a SuppressedError");
+    assertIs(err.error, first, "error");
+    assertIs(err.suppressed, second, "suppressed");
+    return;
+  }
+  throw new Error("did not throw");
+});
+
+await check("AsyncDisposableStack", async () => {
+  assertIs(
+    AsyncDisposableStack.prototype[Symbol.asyncDispose],
+    AsyncDisposableStack.prototype.disposeAsync,
+    "@@asyncDispose"
+  );
+  assertIs(
+    Object.prototype.toString.call(new AsyncDisposableStack()),
+    "[object AsyncDisposableStack]",
+    "@@toStringTag"
+  );
+  /** @type {string[]} */
+  const log = [];
+  const stack = new AsyncDisposableStack();
+  stack.use({ [Symbol.dispose]: () => log.push("sync") });
+  stack.use({
+    [Symbol.asyncDispose]: async () => {
+      log.push("async");
+    },
+  });
+  const fn = Object.assign(() => {}, {
+    [Symbol.asyncDispose]: async () => {
+      log.push("function");
+    },
+  });
+  assertIs(stack.use(fn), fn, "use function");
+  assertThrows(() => stack.use(/** @type {any} */ ({})), TypeError, "use {}");
+  stack.defer(async () => {
+    log.push("defer");
+  });
+  const result = stack.disposeAsync();
+  assert(result instanceof Promise, "result is not a promise");
+  assertIs(await result, undefined, "result");
+  assertIs(log.join(), "defer,function,async,sync", "disposal order");
+  assertThrows(() => stack.use(null), ReferenceError, "use after");
+});
+
+await check("SuppressedError", () => {
+  assertIs(SuppressedError.length, 3, "length");
+  assertIs(SuppressedError.name, "SuppressedError", "name");
+  assertIs(Object.getPrototypeOf(SuppressedError), Error, "[[Prototype]]");
+  assertIs(SuppressedError.prototype.name, "SuppressedError", "prototype name");
+  assertIs(SuppressedError.prototype.message, "", "prototype message");
+  const error = {};
+  const suppressed = {};
+  const withNew = new SuppressedError(error, suppressed, "message");
+  const withoutNew = /** @type {any} */ (SuppressedError)(error, suppressed);
+  for (const err of [withNew, withoutNew]) {
+    assert(err instanceof SuppressedError, "not a SuppressedError");
+    assert(err instanceof Error, "not an Error");
+    assertIs(err.error, error, "error");
+    assertIs(err.suppressed, suppressed, "suppressed");
+    assert(!Object.keys(err).length, "enumerable own properties");
+  }
+  assertIs(withNew.message, "message", "message");
+  assert(
+    !Object.prototype.hasOwnProperty.call(withoutNew, "message"),
+    "own message without argument"
+  );
+  class SubError extends SuppressedError {}
+  assert(new SubError(1, 2) instanceof SubError, "not subclassable");
+});
+
+assertAllPassed("conformance");
@@ -2,6 +2,13 @@
 /// <reference lib="dom" />
 
 import "./polyfill.js";
+import {
+  addInstrumentationHook,
+  AsyncResourcePool,
+  defer,
+  Mutex,
+  toAsyncDisposable,
+} from "./index.js";
 
 /**
  * @typedef {import("./index.js").Disposable & {name: string}} NamedDisposable
@@ -174,3 +181,328 @@ for await (const res of AsyncDisposable.usingFrom(
 )) {
   console.log(`async using ${res.name}`);
 }
+
+{
+  const stack = new DisposableStack();
+  stack.use(getResource("stack"));
+  stack.adopt("adopted", (value) => console.log("done with", value));
+  stack.defer(() => console.log("deferred"));
+  const moved = stack.move();
+  console.log("stack disposed after move:", stack.disposed);
+  moved.dispose();
+  try {
+    stack.use(getResource("too late"));
+  } catch (err) {
+    console.log("using disposed stack:", /** @type {Error} */ (err).name);
+  }
+}
+
+{
+  const stack = new AsyncDisposableStack();
+  stack.use(getAsyncResource("async stack"));
+  stack.use(getResource("sync in async stack"));
+  stack.defer(async () => console.log("deferred async"));
+  await stack.disposeAsync();
+  console.log("async stack disposed:", stack.disposed);
+}
+
+try {
+  for (const { using } of Disposable) {
+    using(() => {
+      throw new Error("first added");
+    });
+    using(() => {
+      throw new Error("last added");
+    });
+  }
+} catch (err) {
+  const { error, suppressed } =
+    /** @type {import("./index.js").SuppressedError} */ (err);
+  console.log("disposal error:", error.message);
+  console.log("suppressing:", suppressed.message);
+}
+
+for (const { using } of Disposable) {
+  using.onSuccess(() => console.log("block completed"));
+  using.onFailure(() => console.log("not called on success"));
+}
+
+for await (const { using } of AsyncDisposable) {
+  using.onSuccess(async () => console.log("not called on failure"));
+  using.onFailure(async () => console.log("block exited early"));
+  break;
+}
+
+for await (const { using } of AsyncDisposable) {
+  using(() => console.log("group disposed"));
+  for (const name of testNames) {
+    using(getAsyncResource(name), { group: "concurrent" });
+  }
+  using(() => console.log("disposed before group"));
+}
+
+try {
+  for await (const { using } of AsyncDisposable.withTimeout(50)) {
+    using(() => console.log("disposed after timeout"));
+    using(function hang() {
+      return new Promise(() => {});
+    });
+  }
+} catch (err) {
+  console.log(/** @type {Error} */ (err).message);
+}
+
+for (const { using, signal } of Disposable) {
+  signal.addEventListener("abort", () => console.log("scope signal aborted"));
+  using(() => console.log("disposed after abort"));
+}
+
+{
+  const controller = new AbortController();
+  for await (const { using } of AsyncDisposable) {
+    using.disposeOnAbort(controller.signal);
+    using(() => console.log("disposed on external abort"));
+    controller.abort();
+    console.log("block still running");
+  }
+}
+
+{
+  const controller = new AbortController();
+  const stuck = async function* () {
+    yield getAsyncResource("acquired before abort");
+    await new Promise(() => {});
+  };
+  setTimeout(() => controller.abort(), 10);
+  try {
+    await AsyncDisposable.from(stuck(), { signal: controller.signal });
+  } catch (err) {
+    console.log("acquisition cancelled");
+  }
+}
+
+{
+  const target = new EventTarget();
+  for (const { using } of Disposable) {
+    using.listen(target, "ping", () => console.log("ping received"));
+    target.dispatchEvent(new Event("ping"));
+  }
+  target.dispatchEvent(new Event("ping"));
+  console.log("unsubscribed after disposal");
+}
+
+for await (const { using } of AsyncDisposable) {
+  using.timeout(() => console.log("not called after disposal"), 10);
+  await using.delay(1);
+  console.log("delay elapsed");
+}
+
+{
+  const removeHook = addInstrumentationHook({
+    recordDisposed: ({ hint, failed }) =>
+      console.log(`${hint} record disposed`, failed ? "with error" : ""),
+    disposed: () => console.log("aggregate disposed"),
+  });
+  for (const { using } of Disposable) {
+    using(() => {});
+  }
+  removeHook();
+}
+
+for (const aggregate of Disposable) {
+  aggregate.using(getResource("labelled"), "labelled resource");
+  aggregate.using.onSuccess(() => {});
+  console.log(
+    `tracking ${aggregate.size} resources:`,
+    [...aggregate.resources()].map(({ label }) => label)
+  );
+}
+
+{
+  let count = 0;
+  const pool = new AsyncResourcePool({
+    create: async () => getAsyncResource(`pooled ${++count}`),
+    destroy: (item) => item[Symbol.asyncDispose](),
+    max: 1,
+  });
+  for (let i = 0; i < 2; i++) {
+    for await (const { using } of AsyncDisposable) {
+      const { value } = using(await pool.acquire());
+      console.log(`leased ${value.name}`);
+    }
+  }
+  await pool[Symbol.asyncDispose]();
+}
+
+{
+  const mutex = new Mutex();
+  /** @param {string} name */
+  const exclusive = async (name) => {
+    for await (const { using } of AsyncDisposable) {
+      using(await mutex.acquire());
+      console.log(`${name} holds the lock`);
+      await Promise.resolve();
+    }
+  };
+  await Promise.all([exclusive("first"), exclusive("second")]);
+  console.log("mutex locked:", mutex.locked);
+}
+
+{
+  const closeLater = () =>
+    defer(() => console.log("deferred from nested call"));
+  for (const _ of Disposable) {
+    closeLater();
+    console.log("leaving scope");
+  }
+}
+
+{
+  const sum = Disposable.scoped(
+    /**
+     * @param {import("./index.js").Disposable.Using} using
+     * @param {number} a
+     * @param {number} b
+     */
+    (using, a, b) => {
+      using(() => console.log("scoped function disposed"));
+      return a + b;
+    }
+  );
+  console.log("scoped sum:", sum(1, 2));
+
+  const names = AsyncDisposable.scoped(async function* (using) {
+    using(() => console.log("scoped generator disposed"));
+    yield* testNames;
+  });
+  for await (const name of names()) {
+    console.log(`scoped ${name}`);
+    break;
+  }
+}
+
+{
+  const tracked = Disposable.resource(
+    /** @param {string} name */
+    function* (name) {
+      console.log(`acquiring ${name}`);
+      try {
+        yield name;
+        console.log(`releasing ${name}`);
+      } catch (err) {
+        console.log(
+          `releasing ${name} after`,
+          /** @type {Error} */ (err).message
+        );
+        throw err;
+      }
+    }
+  );
+  for (const { using } of Disposable) {
+    const { value } = using(tracked("generated"));
+    console.log(`using ${value}`);
+  }
+  try {
+    Disposable.scoped((using) => {
+      using(tracked("failing"));
+      throw new Error("scoped failure");
+    })();
+  } catch (err) {}
+}
+
+for await (const res of AsyncDisposable.usingFrom(
+  getResourcesAsync(testNames),
+  { prefetch: 1 }
+)) {
+  console.log(`prefetched using ${res.name}`);
+}
+
+for (const res of Disposable.usingFrom(getResources(testNames), {
+  mode: "retain",
+})) {
+  console.log(`retaining ${res.name}`);
+}
+
+for (const res of Disposable.usingFrom(getResources(testNames), {
+  mode: "drain",
+})) {
+  console.log(`draining after ${res.name}`);
+  break;
+}
+
+for await (const outer of AsyncDisposable) {
+  for (const { using } of Disposable) {
+    using.forwardAsync(outer);
+    using(getAsyncResource("forwarded"));
+  }
+  console.log("async disposal forwarded");
+}
+
+{
+  const tracking = new Disposable();
+  tracking.using.trackAsync();
+  tracking.using(getAsyncResource("tracked"));
+  for await (const { using } of AsyncDisposable) {
+    using(toAsyncDisposable(tracking));
+  }
+}
+
+for (const { using } of Disposable) {
+  using.errorPolicy("report", (error) =>
+    console.log(`${error.message} at index ${error.index}`)
+  );
+  using(() => {
+    throw new Error("close failed");
+  }, "reported resource");
+  using(() => console.log("disposed despite the error"));
+}
+
+{
+  const aggregate = new Disposable();
+  const whenDisposed = aggregate.whenDisposed.then(() =>
+    console.log("aggregate state:", aggregate.state)
+  );
+  aggregate.using(() => {
+    console.log("disposing state:", aggregate.state);
+    aggregate.using(() => console.log("added while disposing"));
+  });
+  aggregate[Symbol.dispose]();
+  try {
+    aggregate.using(() => {});
+  } catch (err) {
+    console.log("using after disposal:", /** @type {Error} */ (err).name);
+  }
+  await whenDisposed;
+}
+
+for (const parent of Disposable) {
+  parent.using(() => console.log("parent resource disposed"));
+  const early = parent.fork();
+  early.using(() => console.log("early child disposed"));
+  const child = parent.fork();
+  child.using(() => console.log("child disposed with parent"));
+  early[Symbol.dispose]();
+  console.log("parent tracks", parent.size, "resources");
+}
+
+try {
+  for await (const { using } of AsyncDisposable) {
+    using(() => console.log("disposed after the tasks"));
+    using.spawn(
+      (signal) =>
+        new Promise((_, reject) => {
+          signal.addEventListener("abort", () => {
+            console.log("sibling task cancelled");
+            reject(/** @type {any} */ (signal).reason);
+          });
+        })
+    );
+    using.spawn(async () => {
+      await Promise.resolve();
+      throw new Error("task failed");
+    });
+    console.log("spawned", await using.spawn(() => "a value"));
+  }
+} catch (err) {
+  console.log("block failed with", /** @type {Error} */ (err).message);
+}
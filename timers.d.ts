@@ -0,0 +1,46 @@
+export interface ScheduledTimer {
+  /**
+   * The handle returned by the host timer function
+   */
+  handle: unknown;
+
+  /**
+   * Clears the timer
+   */
+  cancel(): void;
+}
+
+export type TimerCallback = (...args: any[]) => void;
+
+export declare function scheduleTimeout(
+  callback: TimerCallback,
+  ms: number | undefined,
+  args: any[]
+): ScheduledTimer;
+
+export declare function scheduleInterval(
+  callback: TimerCallback,
+  ms: number | undefined,
+  args: any[]
+): ScheduledTimer;
+
+/**
+ * Schedules the callback with `setImmediate`, or falls back to `setTimeout`
+ * on hosts without it
+ */
+export declare function scheduleImmediate(
+  callback: TimerCallback,
+  args: any[]
+): ScheduledTimer;
+
+/**
+ * Returns a promise fulfilled after the given time, or rejected with the abort
+ * reason when the signal is aborted first
+ *
+ * @param ms The time to wait, in milliseconds
+ * @param signal The signal rejecting the promise when aborted
+ */
+export declare function delay(
+  ms: number | undefined,
+  signal: AbortSignal
+): Promise<void>;
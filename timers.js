@@ -0,0 +1,69 @@
+/** @typedef {import("./timers.js").ScheduledTimer} ScheduledTimer */
+/** @typedef {import("./timers.js").TimerCallback} TimerCallback */
+
+const host =
+  /** @type {{setImmediate?: (callback: TimerCallback, ...args: any[]) => unknown, clearImmediate?: (handle: any) => void}} */ (
+    globalThis
+  );
+
+/**
+ * @param {TimerCallback} callback
+ * @param {number | undefined} ms
+ * @param {any[]} args
+ * @returns {ScheduledTimer}
+ */
+export const scheduleTimeout = (callback, ms, args) => {
+  const handle = setTimeout(callback, ms, ...args);
+  return { handle, cancel: () => clearTimeout(handle) };
+};
+
+/**
+ * @param {TimerCallback} callback
+ * @param {number | undefined} ms
+ * @param {any[]} args
+ * @returns {ScheduledTimer}
+ */
+export const scheduleInterval = (callback, ms, args) => {
+  const handle = setInterval(callback, ms, ...args);
+  return { handle, cancel: () => clearInterval(handle) };
+};
+
+/**
+ * @param {TimerCallback} callback
+ * @param {any[]} args
+ * @returns {ScheduledTimer}
+ */
+export const scheduleImmediate = (callback, args) => {
+  const { setImmediate, clearImmediate } = host;
+  if (!setImmediate || !clearImmediate) {
+    // Fallback for hosts without setImmediate, such as browsers
+    return scheduleTimeout(callback, 0, args);
+  }
+  const handle = setImmediate(callback, ...args);
+  return { handle, cancel: () => clearImmediate(handle) };
+};
+
+/**
+ * Returns a promise fulfilled after the given time, or rejected with the abort
+ * reason when the signal is aborted first
+ *
+ * @param {number | undefined} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+export const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(handle);
+      reject(signal.reason);
+    };
+    const handle = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });